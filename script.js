@@ -4,7 +4,8 @@
  * ====================================================================
  * 
  * 功能概述：
- * - 支持Danbooru、Gelbooru、Standard三种格式的智能识别和转换
+ * - 支持Danbooru、Gelbooru、e621、Sankaku、Yande.re/Konachan、Booru API响应、WebUI参数、ComfyUI、Booru空格分隔、Standard格式的智能识别和转换
+ * - 保留Danbooru/Gelbooru的帖子数，支持按最少帖子数过滤和按热度排序
  * - 采用四阶段处理流程：格式检测 → 内容提取 → 统一清理 → 自定义过滤
  * - 保护词组完整性，防止复合词组被错误分割
  * - 自定义过滤器支持正则表达式和词组过滤
@@ -13,12 +14,16 @@
  * 
  * 架构设计：
  * - TagConverter: 主控制器类，统筹整个转换流程
- * - FormatDetector: 格式检测模块，智能识别输入格式
+ * - FormatDetector: 格式检测模块，按格式处理器的置信度识别输入格式，支持手动指定
+ * - PostCountFilter: 帖子数过滤模块，按最少帖子数过滤和按热度排序
  * - ContentExtractor: 内容提取模块，按格式提取有效内容
  * - ContentCleaner: 内容清理模块，标准化和去重处理
+ * - WeightSyntax: 权重语法模块，解析和序列化强调权重
+ * - OutputFormatter: 输出格式化模块，按设置输出权重写法
  * - FilterManager: 过滤器管理模块，自定义关键词过滤
  * - UIManager: 用户界面管理模块，统一UI交互逻辑
  * - ExampleManager: 示例数据管理，防重复加载和点击冲突
+ * - ImageMetadataReader: 图片元数据读取，本地解析PNG/JPEG/WebP中的生成参数
  * 
  * 版本历史：
  * - v1.0: 基础Danbooru格式支持
@@ -37,19 +42,272 @@ const CONFIG = {
     FORMATS: {
         DANBOORU: 'danbooru',    // Danbooru格式：换行符+?标记
         GELBOORU: 'gelbooru',    // Gelbooru格式：Artist?/Tag?连续格式  
+        WEBUI: 'webui',          // WebUI参数格式：正向提示词 + Negative prompt + Steps设置行
+        BOORU: 'booru',          // Booru标签串：空格分隔、词内下划线（tag_string / 搜索URL）
+        COMFYUI: 'comfyui',      // ComfyUI图：API格式prompt或workflow JSON
+        HTML: 'html',            // 从剪贴板粘贴的Booru标签侧栏HTML
+        E621: 'e621',            // e621/e926侧栏：Artists/Species/Lore等分区 + ?/+/–标记
+        SANKAKU: 'sankaku',      // Sankaku侧栏：标签名后带日文翻译、帖子数和关注数
+        MOEBOORU: 'moebooru',    // Yande.re/Konachan侧栏：类型标题 + "? 标签 帖子数"
+        API: 'api',              // Danbooru/Gelbooru API返回的帖子JSON/XML
         STANDARD: 'standard'     // 标准格式：逗号分隔
     },
     
+    // Booru标签串相关配置
+    BOORU: {
+        // 需要保留下划线的颜文字标签
+        KAOMOJI: ['0_0', '(o)_(o)', '+_+', '+_-', '._.', '<o>_<o>', '<|>_<|>', '=_=', '>_<',
+                  '3_3', '6_9', '>_o', '@_@', '^_^', 'o_o', 'u_u', 'x_x', '|_|', '||_||'],
+        // 搜索URL中需要忽略的元标签前缀
+        SEARCH_METATAGS: ['rating', 'order', 'score', 'status', 'user', 'fav', 'pool', 'limit',
+                          'date', 'id', 'width', 'height', 'filetype', 'source', 'md5', 'age',
+                          'tagcount', 'is', 'has', 'sort']
+    },
+    
+    // Danbooru/Gelbooru API响应相关配置
+    API: {
+        // Danbooru按分类拆分的标签字段（XML中的 tag-string-* 按同名处理），顺序即输出顺序
+        TYPED_FIELDS: {
+            tag_string_artist: 'artist',
+            tag_string_copyright: 'copyright',
+            tag_string_character: 'character',
+            tag_string_general: 'general',
+            tag_string_meta: 'meta'
+        },
+        // 不带分类的标签字段：Danbooru的 tag_string、Gelbooru的 tags
+        UNTYPED_FIELDS: ['tag_string', 'tags'],
+        // 可拖入/粘贴读取的API响应文件
+        FILE_PATTERN: /\.(?:json|xml)$/i,
+        FILE_TYPES: ['application/json', 'application/xml', 'text/xml']
+    },
+    
+    // ComfyUI相关配置
+    COMFYUI: {
+        // 文本编码节点类型
+        TEXT_NODE_TYPE: /TextEncode/i,
+        // 可作为文本来源的节点类型（workflow格式中仅这些节点读取widgets_values）
+        TEXT_SOURCE_TYPE: /TextEncode|Primitive|String|Text|Prompt/i,
+        // 文本字段名，按优先级排列
+        TEXT_FIELDS: ['text', 'text_g', 'text_l', 'string', 'value', 'prompt'],
+        // 回溯条件时不跟随的输入
+        NON_CONDITIONING_INPUTS: ['clip', 'model', 'vae', 'image', 'pixels', 'mask', 'control_net',
+                                  'latent_image', 'samples', 'style_model', 'clip_vision_output', 'noise', 'sigmas', 'sampler'],
+        // 采样设置字段
+        SETTING_FIELDS: ['seed', 'noise_seed', 'steps', 'cfg', 'sampler_name', 'scheduler', 'denoise']
+    },
+    
     // 分类标识符定义
     CATEGORY_MARKERS: ['Artist', 'Character', 'Copyright', 'Tag', 'Metadata', 'General'],
     
+    // 标签分类（Booru的tag类型）
+    TAG_CATEGORIES: {
+        ARTIST: 'artist',
+        CONTRIBUTOR: 'contributor',  // e621
+        COPYRIGHT: 'copyright',
+        CHARACTER: 'character',
+        SPECIES: 'species',          // e621
+        GENERAL: 'general',
+        META: 'meta',
+        LORE: 'lore'                 // e621
+    },
+    
+    // 分类显示顺序与名称，未分类标签显示在最后
+    CATEGORY_DISPLAY: [
+        { id: 'artist', name: '画师' },
+        { id: 'contributor', name: '贡献者' },
+        { id: 'copyright', name: '作品' },
+        { id: 'character', name: '角色' },
+        { id: 'species', name: '物种' },
+        { id: 'general', name: '一般' },
+        { id: 'meta', name: '元数据' },
+        { id: 'lore', name: '设定' }
+    ],
+    UNCATEGORIZED_NAME: '未分类',
+    
+    // 分类标识符（小写）到分类的映射，兼容Danbooru复数标题和Gelbooru的Tag/Metadata
+    CATEGORY_ALIASES: {
+        artist: 'artist', artists: 'artist',
+        copyright: 'copyright', copyrights: 'copyright',
+        character: 'character', characters: 'character',
+        general: 'general', tag: 'general', tags: 'general',
+        meta: 'meta', metadata: 'meta'
+    },
+    
+    // 标签侧栏HTML中 <li> 的类名到分类的映射
+    // Danbooru: tag-type-数字；Gelbooru/Sankaku: tag-type-名称；e621: category-数字
+    HTML_TAG_CLASSES: {
+        'tag-type-0': 'general', 'tag-type-1': 'artist', 'tag-type-3': 'copyright',
+        'tag-type-4': 'character', 'tag-type-5': 'meta',
+        'tag-type-general': 'general', 'tag-type-artist': 'artist', 'tag-type-copyright': 'copyright',
+        'tag-type-character': 'character', 'tag-type-metadata': 'meta', 'tag-type-meta': 'meta',
+        'tag-type-medium': 'meta', 'tag-type-studio': 'copyright', 'tag-type-genre': 'general',
+        'tag-type-circle': 'artist', 'tag-type-faults': 'meta', 'tag-type-style': 'meta',
+        'category-0': 'general', 'category-1': 'artist', 'category-2': 'contributor',
+        'category-3': 'copyright', 'category-4': 'character', 'category-5': 'species',
+        'category-6': 'meta', 'category-7': 'meta', 'category-8': 'lore'
+    },
+    
+    // e621/e926 侧栏分区标题（小写）到分类的映射，Invalid 归入元数据
+    E621: {
+        SECTIONS: {
+            artists: 'artist', contributors: 'contributor', copyrights: 'copyright',
+            characters: 'character', species: 'species', general: 'general',
+            meta: 'meta', lore: 'lore', invalid: 'meta'
+        },
+        // 只在e621出现的分区，用于区分Danbooru
+        EXCLUSIVE_SECTIONS: ['contributors', 'species', 'lore', 'invalid']
+    },
+    
+    // Sankaku 侧栏类型标题，Medium/Genre/Studio 分别归入元数据/一般/作品
+    SANKAKU: {
+        SECTIONS: {
+            artist: 'artist', artists: 'artist', copyright: 'copyright', copyrights: 'copyright',
+            character: 'character', characters: 'character', general: 'general',
+            meta: 'meta', medium: 'meta', genre: 'general', studio: 'copyright'
+        },
+        EXCLUSIVE_SECTIONS: ['medium', 'genre', 'studio']
+    },
+    
+    // Yande.re/Konachan（Moebooru）侧栏类型标题，Circle 归入画师，Faults/Style 归入元数据
+    MOEBOORU: {
+        SECTIONS: {
+            artist: 'artist', copyright: 'copyright', character: 'character', general: 'general',
+            circle: 'artist', faults: 'meta', style: 'meta'
+        },
+        EXCLUSIVE_SECTIONS: ['circle', 'faults', 'style']
+    },
+    
+    // Danbooru侧栏中标签列表之后的区块标题，出现时结束标签区
+    DANBOORU_SECTION_END: ['Information', 'Options', 'History', 'Related Posts'],
+    
     // 正则表达式模式
     PATTERNS: {
         GELBOORU_MARKERS: /(?:Artist|Character|Copyright|Tag|Metadata)\?/i,
-        CATEGORY_CONTENT: /^(Artist|Character|Copyright|Metadata|Tag)\s+(.*)$/,
         WEIGHT_REMOVAL: /\s+\d+\.?\d*[kM]?\s*$/,
-        GELBOORU_WEIGHT: /\s+\d+\s*(Artist|Character|Copyright|Metadata|Tag)?.*$/,
-        NORMALIZE_SPACES: /\s+/g
+        POST_COUNT: /\s+(\d+(?:\.\d+)?[kM]?)\s*$/,   // Danbooru行末帖子数，如 "1girl 6.1M"
+        // Danbooru行首的 ?（wiki）/ + / -（搜索）标记，每个标记后需有空白或行尾，避免误伤 +_+ 等标签
+        DANBOORU_MARKERS: /^((?:[?+\-](?:\s+|$))+)(.*)$/,
+        // Sankaku标签行末尾：帖子数 [关注数]
+        SANKAKU_COUNTS: /\s+(\d+(?:\.\d+)?[kM]?)(?:\s+(\d+(?:\.\d+)?[kM]?))?\s*$/,
+        // 日文翻译（平假名/片假名/汉字/半角片假名）
+        CJK_TEXT: /[\u3040-\u30ff\u3400-\u9fff\uff66-\uff9f]/,
+        // e621行首标记，排除标签使用 – （en dash）
+        E621_MARKERS: /^((?:[?+\-–](?:\s+|$))+)(.*)$/,
+        // Gelbooru侧栏：[分类标识符]? 标签名 帖子数，帖子数后紧跟下一个标识符/?或结尾
+        GELBOORU_START: /^\s*(?:(?:Artist|Character|Copyright|Metadata|Tag)\s*)?\?/,
+        GELBOORU_TOKEN: /\s*(?:(Artist|Character|Copyright|Metadata|Tag)\s*)?\?\s+(.+?)\s+(\d+(?:\.\d+)?[kM]?)(?=\s*(?:(?:Artist|Character|Copyright|Metadata|Tag)\s*)?\?(?:\s|$)|\s*$)/y,
+        // 标签侧栏HTML：带 tag-type-* / category-* 类名的列表项
+        BOORU_HTML_ITEM: /<li\b[^>]*\bclass\s*=\s*["'][^"']*\b(?:tag-type|category)-[\w-]+/i,
+        STANDALONE_COUNT: /^\d+(?:\.\d+)?[kM]?$/,   // 单独的帖子数（HTML计数元素、侧栏中单独一行的计数）
+        // 缺少帖子数时的退路：标签名延续到下一个标识符/?
+        GELBOORU_TOKEN_UNCOUNTED: /\s*(?:(Artist|Character|Copyright|Metadata|Tag)\s*)?\?\s+(.+?)(?=\s*(?:(?:Artist|Character|Copyright|Metadata|Tag)\s*)?\?(?:\s|$)|\s*$)/y,
+        NORMALIZE_SPACES: /\s+/g,
+        WEBUI_SETTINGS_LINE: /^Steps:\s*\d+/,
+        WEBUI_NEGATIVE_PREFIX: /^Negative prompt:\s*/,
+        NAI_NUMERIC_START: /(^|[\s,])-?\d+(?:\.\d+)?::/,  // NovelAI v4 数值权重开头，如 "1.2::"
+        WEBUI_SETTING_PAIR: /\s*(\w[\w \-/]+):\s*("(?:\\.|[^\\"])+"|[^,]*)(?:,|$)/g
+    },
+    
+    // 权重语法相关配置
+    WEIGHT: {
+        PAREN_MULTIPLIER: 1.1,   // A1111: 每层()乘1.1，每层[]除1.1
+        BRACE_MULTIPLIER: 1.05,  // NovelAI: 每层{}乘1.05，每层[]除1.05
+        PRECISION: 2,            // 数值权重默认保留的小数位数
+        MAX_PRECISION: 4,
+        DIALECTS: {
+            A1111: 'a1111',          // (tag:1.1) / ((tag))
+            NOVELAI: 'novelai',      // {tag} / [tag]
+            NOVELAI_V4: 'novelai-v4', // 1.2::tag::
+            BOORU: 'booru'           // 仅用于输出：1girl long_hair，不带权重
+        }
+    },
+    
+    // 输出相关配置
+    OUTPUT: {
+        STORAGE_KEY: 'tagConverter_outputSettings',
+        WEIGHT_MODES: {
+            KEEP: 'keep',            // 保留原写法：((tag)) 仍输出 ((tag))
+            NORMALIZE: 'normalize',  // 统一为数值写法：(tag:1.21)
+            STRIP: 'strip'           // 移除所有权重，仅输出裸标签名
+        },
+        VIEWS: {
+            FLAT: 'flat',            // 平铺为一行
+            CATEGORY: 'category'     // 按标签分类分组，每组单独复制
+        },
+        DEFAULT_WEIGHT_MODE: 'keep',
+        DEFAULT_DIALECT: 'a1111',
+        DEFAULT_VIEW: 'flat'
+    },
+    
+    // 格式检测相关配置
+    DETECTION: {
+        OVERRIDE_STORAGE_KEY: 'tagConverter_formatOverride'  // 手动指定的格式（sessionStorage，仅当前会话有效）
+    },
+    
+    // 帖子数相关配置
+    POST_COUNT: {
+        STORAGE_KEY: 'tagConverter_postCountSettings',
+        SUFFIX_MULTIPLIERS: { k: 1000, M: 1000000 },
+        DEFAULT_MIN_COUNT: 0,        // 0 表示不过滤
+        DEFAULT_SORT_BY_COUNT: false
+    },
+    
+    // 批量模式相关配置
+    BATCH: {
+        STORAGE_KEY: 'tagConverter_batchSettings',
+        DEFAULT_ENABLED: false,
+        DEFAULT_SEPARATOR: '',       // 空表示按空行分割
+        BLANK_LINES: /\n\s*\n/,
+        POST_NAME_PREFIX: 'post_',   // 粘贴内容拆分出的帖子命名为 post_001 等
+        DOWNLOAD_NAME: 'tags',       // 下载文件名（tags.txt / tags.zip）
+        // 批量模式下可拖入的文本文件（图片和API响应文件之外）
+        TEXT_FILE_PATTERN: /\.txt$/i
+    },
+    
+    // 数据集模式（LoRA训练caption）相关配置
+    DATASET: {
+        CAPTION_PATTERN: /\.txt$/i,
+        IMAGE_PATTERN: /\.(?:png|jpe?g|webp|gif|bmp)$/i,
+        // 打包工具和系统生成的文件，加载时忽略
+        IGNORED_PATH: /(?:^|\/)(?:__MACOSX\/|\._)/,
+        DOWNLOAD_NAME: 'dataset.zip'
+    },
+    
+    // 标签统计相关配置
+    STATISTICS: {
+        SOURCES: {
+            BATCH: 'batch',          // 批量模式的结果
+            DATASET: 'dataset'       // 数据集caption
+        },
+        SORTS: {
+            COUNT_DESC: 'count-desc',
+            COUNT_ASC: 'count-asc',
+            REMOVED_DESC: 'removed-desc',
+            NAME: 'name'
+        },
+        DEFAULT_SORT: 'count-desc',
+        MAX_ROWS: 500,               // 表格最多显示的行数（导出CSV不受限制）
+        CSV_NAME: 'tag-statistics.csv'
+    },
+    
+    // 训练辅助（kohya风格caption）相关配置
+    TRAINING: {
+        STORAGE_KEY: 'tagConverter_trainingSettings',
+        DEFAULT_ENABLED: false,
+        DEFAULT_TRIGGER_WORDS: '',   // 逗号分隔，放在最前
+        DEFAULT_PINNED_TAGS: [],     // 按列表顺序固定在触发词之后
+        DEFAULT_SHUFFLE: false,
+        DEFAULT_SEED: 42
+    },
+    
+    // 图片元数据相关配置
+    IMAGE: {
+        PNG_SIGNATURE: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A],
+        EXIF_USER_COMMENT: 0x9286,   // Exif子IFD中的UserComment
+        EXIF_IFD_POINTER: 0x8769,    // IFD0中指向Exif子IFD的指针
+        IMAGE_DESCRIPTION: 0x010E,   // IFD0 ImageDescription（部分工具写入提示词）
+        MAKE: 0x010F,                // IFD0 Make（ComfyUI WebP写入"Prompt:"/"Workflow:"）
+        MODEL: 0x0110
     },
     
     // UI相关配置
@@ -66,11 +324,93 @@ const CONFIG = {
         DEFAULT_ENABLED: false,
         DEFAULT_KEYWORDS: [],
         DEFAULT_SIMPLIFY_ENABLED: false,  // 提示词简化功能默认关闭
-        SCHEMA_VERSION: 1, // 数据结构版本
-        DEFAULT_GROUP_NAME_PREFIX: '组' // 默认组名前缀
+        SCHEMA_VERSION: 7, // 数据结构版本（2：新增组的分类范围 categoryScope；3：关键词带匹配方式；4：组的命中操作 action；5：执行条件 conditions；6：权重、前后缀操作参数；7：替换短语插入位置）
+        DEFAULT_GROUP_NAME_PREFIX: '组', // 默认组名前缀
+        // 关键词匹配方式，均不区分大小写
+        KEYWORD_MODES: {
+            EXACT: 'exact',      // 完全匹配标签名
+            WORD: 'word',        // 整词匹配：hat 匹配 red hat、hat ornament，不匹配 chat
+            CONTAINS: 'contains',// 包含子串
+            GLOB: 'glob',        // 通配符：* 任意字符，? 单个字符，如 *_hair
+            REGEX: 'regex'       // 正则表达式（不自动加锚点）
+        },
+        DEFAULT_KEYWORD_MODE: 'exact',
+        // 组命中后的操作，除删除/替换外命中标签都保持原有相对顺序
+        GROUP_ACTIONS: {
+            REMOVE: 'remove',          // 仅删除命中标签
+            REPLACE: 'replace',        // 删除命中标签，替换短语插入到首次命中的位置
+            REWRITE: 'rewrite',        // 对每个命中标签原位做正则替换（支持 $1 等反向引用）
+            MOVE_FRONT: 'move-front',  // 移到开头（如质量标签）
+            MOVE_END: 'move-end',      // 移到末尾（如元数据标签）
+            SET_WEIGHT: 'set-weight',  // 设置强调权重
+            AFFIX: 'affix'             // 添加前缀/后缀（如画师的 "by "、NovelAI v4 的 "artist:"）
+        },
+        DEFAULT_GROUP_ACTION: 'replace',
+        // 删除并替换时替换短语的插入位置
+        REPLACEMENT_POSITIONS: {
+            FIRST: 'first',      // 首次命中的位置
+            LAST: 'last',        // 最后一次命中的位置
+            START: 'start',      // 提示词开头
+            END: 'end',          // 提示词末尾
+            EACH: 'each'         // 每个命中标签各自原位替换一次
+        },
+        DEFAULT_REPLACEMENT_POSITION: 'first',
+        DEFAULT_ACTION_WEIGHT: 1.1,
+        MAX_ACTION_WEIGHT: 10,
+        REWRITE_PREVIEW_LIMIT: 3, // 改写预览最多显示的示例数
+        KEYWORD_MODE_LABELS: {
+            exact: '完全',
+            word: '整词',
+            contains: '包含',
+            glob: '通配',
+            regex: '正则'
+        },
+        CATEGORY_SCOPE_MODES: {
+            ALL: 'all',          // 作用于所有标签
+            INCLUDE: 'include',  // 仅作用于所选分类
+            EXCLUDE: 'exclude'   // 作用于所选分类以外的标签（未分类标签需勾选 includeUncategorized）
+        }
     }
 };
 
+// ====================================================================
+// 标签数据结构定义
+// ====================================================================
+
+/**
+ * 标签数据结构
+ * @typedef {Object} Tag
+ * @property {string} name - 裸标签名（不含权重语法，转义括号已还原）
+ * @property {number} weight - 强调权重，1 表示无强调
+ * @property {string} syntax - 原始权重写法：plain（无权重）/ nested（A1111括号嵌套）/ brace（NovelAI花括号）/ numeric（数值）
+ * @property {boolean} escaped - 原文是否使用 \( \) 转义括号
+ * @property {string|null} category - 标签分类（CONFIG.TAG_CATEGORIES），来源未提供时为null
+ * @property {number|null} count - 帖子数（Danbooru/Gelbooru），来源未提供时为null
+ * @property {boolean} [perMatch] - 由"逐个原位替换"插入的副本，过滤阶段去重时保留
+ */
+
+/**
+ * 带分类的提取片段，由提供分类信息的格式（Danbooru/Gelbooru）的提取器返回
+ * @typedef {Object} TagEntry
+ * @property {string} text - 片段文本（可含计数、权重，交由清理阶段处理）
+ * @property {string|null} category - 标签分类
+ * @property {number|null} [count] - 帖子数；提供此字段表示提取器已从text中移除计数，清理阶段不再移除末尾数字
+ */
+
+/**
+ * 创建标签对象
+ * @param {string} name - 裸标签名
+ * @param {number} weight - 强调权重
+ * @param {string} syntax - 原始权重写法
+ * @param {boolean} escaped - 原文是否转义括号
+ * @param {string|null} category - 标签分类
+ * @param {number|null} count - 帖子数
+ * @returns {Tag}
+ */
+function createTag(name, weight = 1, syntax = 'plain', escaped = false, category = null, count = null) {
+    return { name, weight, syntax, escaped, category, count };
+}
+
 // ====================================================================
 // 过滤器数据结构定义
 // ====================================================================
@@ -94,10 +434,41 @@ function generateUUID() {
  * @property {string} name - 组名
  * @property {boolean} enabled - 是否启用
  * @property {boolean} collapsed - 折叠状态
- * @property {string[]} keywords - 关键词原始文本数组
+ * @property {Keyword[]} keywords - 关键词（带匹配方式）
+ * @property {string} action - 命中后的操作（CONFIG.FILTER.GROUP_ACTIONS）
  * @property {string} replacement - 替换短语的原始输入
+ * @property {string} replacementPosition - 替换短语的插入位置（CONFIG.FILTER.REPLACEMENT_POSITIONS）
+ * @property {string} rewrite - 改写模板，如 "$1, cosplay"
+ * @property {number} weight - 设置权重操作使用的权重
+ * @property {string} prefix - 添加前后缀操作的前缀
+ * @property {string} suffix - 添加前后缀操作的后缀
+ * @property {CategoryScope} categoryScope - 分类范围
+ * @property {GroupConditions} conditions - 执行条件
  * @property {Object} meta - 元数据
  * @property {number} meta.currentMatchCount - 当前命中数
+ * @property {boolean} meta.skipped - 本次转换是否因条件不满足而跳过
+ */
+
+/**
+ * 组的执行条件，对执行到本组时的完整标签列表判断；两个列表都为空时无条件执行
+ * @typedef {Object} GroupConditions
+ * @property {Keyword[]} anyOf - 存在任一匹配的标签时才执行
+ * @property {Keyword[]} noneOf - 不存在任何匹配的标签时才执行
+ */
+
+/**
+ * 过滤关键词
+ * @typedef {Object} Keyword
+ * @property {string} text - 关键词原始文本
+ * @property {string} mode - 匹配方式（CONFIG.FILTER.KEYWORD_MODES）
+ */
+
+/**
+ * 组的分类范围
+ * @typedef {Object} CategoryScope
+ * @property {string} mode - all / include / exclude（CONFIG.FILTER.CATEGORY_SCOPE_MODES）
+ * @property {string[]} categories - 所选分类（CONFIG.TAG_CATEGORIES 中的值）
+ * @property {boolean} includeUncategorized - 排除模式下未分类标签是否也在范围内
  */
 
 /**
@@ -121,13 +492,55 @@ function createDefaultGroup(name = '') {
         enabled: true,
         collapsed: true,
         keywords: [],
+        action: CONFIG.FILTER.DEFAULT_GROUP_ACTION,
         replacement: '',
+        replacementPosition: CONFIG.FILTER.DEFAULT_REPLACEMENT_POSITION,
+        rewrite: '',
+        weight: CONFIG.FILTER.DEFAULT_ACTION_WEIGHT,
+        prefix: '',
+        suffix: '',
+        categoryScope: createDefaultCategoryScope(),
+        conditions: createDefaultConditions(),
         meta: {
-            currentMatchCount: 0
+            currentMatchCount: 0,
+            skipped: false
         }
     };
 }
 
+/**
+ * 创建默认执行条件（无条件执行）
+ * @returns {GroupConditions}
+ */
+function createDefaultConditions() {
+    return {
+        anyOf: [],
+        noneOf: []
+    };
+}
+
+/**
+ * 创建关键词
+ * @param {string} text - 关键词文本
+ * @param {string} mode - 匹配方式，默认完全匹配
+ * @returns {Keyword}
+ */
+function createKeyword(text, mode = CONFIG.FILTER.DEFAULT_KEYWORD_MODE) {
+    return { text, mode };
+}
+
+/**
+ * 创建默认分类范围（作用于所有标签）
+ * @returns {CategoryScope}
+ */
+function createDefaultCategoryScope() {
+    return {
+        mode: CONFIG.FILTER.CATEGORY_SCOPE_MODES.ALL,
+        categories: [],
+        includeUncategorized: false
+    };
+}
+
 // ====================================================================
 // 过滤器管理模块
 // ====================================================================
@@ -203,10 +616,19 @@ class GroupedFilterManager {
             name: group.name || '未命名组',
             enabled: group.enabled ?? true,
             collapsed: group.collapsed ?? true,
-            keywords: group.keywords || [],
-            replacement: group.replacement || '',
+            keywords: this._normalizeKeywords(group.keywords),
+            action: this._normalizeGroupAction(group.action),
+            replacement: this._normalizeText(group.replacement),
+            replacementPosition: this._normalizeReplacementPosition(group.replacementPosition),
+            rewrite: this._normalizeText(group.rewrite),
+            weight: this._normalizeActionWeight(group.weight),
+            prefix: this._normalizeText(group.prefix),
+            suffix: this._normalizeText(group.suffix),
+            categoryScope: this._normalizeCategoryScope(group.categoryScope),
+            conditions: this._normalizeConditions(group.conditions),
             meta: {
                 currentMatchCount: group.meta?.currentMatchCount ?? 0,
+                skipped: group.meta?.skipped ?? false,
                 ...group.meta
             }
         }));
@@ -227,7 +649,7 @@ class GroupedFilterManager {
                 // 如果有旧关键词，创建迁移组
                 if (settings.keywords && settings.keywords.length > 0) {
                     const migratedGroup = createDefaultGroup('组 1');
-                    migratedGroup.keywords = [...settings.keywords];
+                    migratedGroup.keywords = this._normalizeKeywords(settings.keywords);
                     this.groups = [migratedGroup];
                 }
                 
@@ -341,9 +763,19 @@ class GroupedFilterManager {
         const duplicatedGroup = {
             ...sourceGroup,
             id: generateUUID(),
+            keywords: sourceGroup.keywords.map(keyword => ({ ...keyword })),
             name: `${sourceGroup.name}(副本)`,
+            categoryScope: {
+                ...sourceGroup.categoryScope,
+                categories: [...sourceGroup.categoryScope.categories]
+            },
+            conditions: {
+                anyOf: sourceGroup.conditions.anyOf.map(keyword => ({ ...keyword })),
+                noneOf: sourceGroup.conditions.noneOf.map(keyword => ({ ...keyword }))
+            },
             meta: {
-                currentMatchCount: 0
+                currentMatchCount: 0,
+                skipped: false
             }
         };
         
@@ -426,8 +858,8 @@ class GroupedFilterManager {
     
     /**
      * 应用分组过滤器
-     * @param {string[]} tags - 输入标签数组
-     * @returns {string[]} 过滤后的标签数组
+     * @param {Tag[]} tags - 输入标签数组
+     * @returns {Tag[]} 过滤后的标签数组
      */
     applyFilter(tags) {
         if (!this.masterEnabled) {
@@ -439,8 +871,16 @@ class GroupedFilterManager {
         
         // 第一阶段：分组过滤
         for (const group of this.groups) {
-            if (!group.enabled || group.keywords.length === 0) {
+            group.meta.skipped = false;
+            if (!this._isGroupActive(group)) {
+                group.meta.currentMatchCount = 0;
+                continue;
+            }
+            
+            // 条件基于前面各组处理后的标签列表判断
+            if (!this._isConditionMet(currentTags, group.conditions)) {
                 group.meta.currentMatchCount = 0;
+                group.meta.skipped = true;
                 continue;
             }
             
@@ -466,231 +906,661 @@ class GroupedFilterManager {
     
     /**
      * 应用单个组的过滤规则
-     * @param {string[]} tags - 输入标签
+     * 
+     * 匹配基于裸标签名，(smile:1.2) 与关键词 smile 同样命中；
+     * 仅分类范围内的标签参与匹配，限定了分类但没有关键词时范围内的标签全部命中
+     * 
+     * @param {Tag[]} tags - 输入标签
      * @param {Group} group - 组配置
-     * @returns {{filteredTags: string[], matchCount: number}}
+     * @returns {{filteredTags: Tag[], matchCount: number}}
      */
     _applyGroupFilter(tags, group) {
-        const patterns = this._compileGroupPatterns(group.keywords);
-        const matchedIndices = new Set();
-        
-        // 查找所有匹配的标签索引
-        tags.forEach((tag, index) => {
-            for (const pattern of patterns) {
-                try {
-                    if (pattern.test(tag)) {
-                        matchedIndices.add(index);
-                        break; // 一个组内任意关键词匹配即可
-                    }
-                } catch (error) {
-                    // 正则表达式执行错误，尝试字符串匹配
-                    if (tag.includes(pattern.source || pattern)) {
-                        matchedIndices.add(index);
-                        break;
-                    }
-                }
-            }
-        });
+        const matches = this._findGroupMatches(tags, group);
         
-        if (matchedIndices.size === 0) {
+        if (matches.size === 0) {
             return { filteredTags: tags, matchCount: 0 };
         }
         
-        // 删除匹配的标签
-        let filteredTags = tags.filter((_, index) => !matchedIndices.has(index));
+        const actions = CONFIG.FILTER.GROUP_ACTIONS;
+        const matched = tags.filter((_, index) => matches.has(index));
+        const unmatched = tags.filter((_, index) => !matches.has(index));
+        let filteredTags;
         
-        // 处理替换短语
-        if (group.replacement && this._isValidReplacement(group.replacement)) {
-            const replacementTokens = this._parseReplacementString(group.replacement);
-            if (replacementTokens.length > 0) {
-                // 插入到首次命中的位置
-                const insertPosition = Math.min(...matchedIndices);
-                filteredTags.splice(insertPosition, 0, ...replacementTokens);
-            }
+        switch (group.action) {
+            case actions.REWRITE:
+                // 改写模板无效时不动标签，避免误删
+                if (this.validateRewrite(group.rewrite, group.keywords)) {
+                    return { filteredTags: tags, matchCount: 0 };
+                }
+                filteredTags = tags.flatMap((tag, index) =>
+                    matches.has(index) ? this._rewriteTag(tag, matches.get(index), group.rewrite) : [tag]);
+                break;
+            case actions.REMOVE:
+                filteredTags = unmatched;
+                break;
+            case actions.MOVE_FRONT:
+                filteredTags = [...matched, ...unmatched];
+                break;
+            case actions.MOVE_END:
+                filteredTags = [...unmatched, ...matched];
+                break;
+            case actions.SET_WEIGHT:
+                // 以数值写法记录，输出时按所选方言转换
+                filteredTags = tags.map((tag, index) =>
+                    matches.has(index) ? { ...tag, weight: group.weight, syntax: 'numeric' } : tag);
+                break;
+            case actions.AFFIX:
+                filteredTags = tags.map((tag, index) =>
+                    matches.has(index) ? this._affixTag(tag, group.prefix, group.suffix) : tag);
+                break;
+            default:
+                filteredTags = this._replaceTags(tags, new Set(matches.keys()), group);
         }
         
         // 全局去重（保留靠前）
-        filteredTags = this._dedupeKeepFirst(filteredTags);
-        
-        return { 
-            filteredTags, 
-            matchCount: matchedIndices.size 
+        return {
+            filteredTags: this._dedupeKeepFirst(filteredTags),
+            matchCount: matches.size
         };
     }
     
     /**
-     * 编译组关键词为正则表达式模式
-     * @param {string[]} keywords - 关键词数组
-     * @returns {RegExp[]} 编译后的正则表达式数组
+     * 删除命中标签并按组的插入位置插入替换短语
+     * @param {Tag[]} tags - 输入标签
+     * @param {Set<number>} matchedIndices - 命中标签索引
+     * @param {Group} group - 组配置
+     * @returns {Tag[]}
      */
-    _compileGroupPatterns(keywords) {
-        const patterns = [];
+    _replaceTags(tags, matchedIndices, group) {
+        const positions = CONFIG.FILTER.REPLACEMENT_POSITIONS;
+        const hasReplacement = group.replacement && this._isValidReplacement(group.replacement);
         
-        for (const keyword of keywords) {
-            if (!keyword.trim()) continue;
-            
-            try {
-                // 尝试作为正则表达式编译
-                const pattern = new RegExp(keyword, 'i');
-                pattern.test(''); // 测试是否有效
-                patterns.push(pattern);
-            } catch (error) {
-                // 无效正则，转为普通字符串匹配（完全匹配）
-                const escapedKeyword = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-                patterns.push(new RegExp(`^${escapedKeyword}$`, 'i'));
-            }
+        // 替换结果沿用被替换标签的分类
+        const createTokens = category => this._parseReplacementString(group.replacement)
+            .flatMap(token => WeightSyntax.toTags(token))
+            .map(token => ({ ...token, category }));
+        
+        // 逐个替换：每个命中标签原位换成一份替换短语，各份副本不参与去重
+        if (group.replacementPosition === positions.EACH) {
+            return tags.flatMap((tag, index) => {
+                if (!matchedIndices.has(index)) return [tag];
+                return hasReplacement
+                    ? createTokens(tag.category).map(token => ({ ...token, perMatch: true }))
+                    : [];
+            });
         }
         
-        return patterns;
+        // 删除匹配的标签
+        const filteredTags = tags.filter((_, index) => !matchedIndices.has(index));
+        if (!hasReplacement) {
+            return filteredTags;
+        }
+        
+        const firstIndex = Math.min(...matchedIndices);
+        const lastIndex = Math.max(...matchedIndices);
+        const insertPositions = {
+            // 命中位置之前的标签都未被删除，下标不变
+            [positions.FIRST]: firstIndex,
+            // 最后一次命中之前的其他命中标签已被删除
+            [positions.LAST]: lastIndex - (matchedIndices.size - 1),
+            [positions.START]: 0,
+            [positions.END]: filteredTags.length
+        };
+        const sourceIndex = group.replacementPosition === positions.LAST ? lastIndex : firstIndex;
+        
+        filteredTags.splice(insertPositions[group.replacementPosition] ?? firstIndex, 0,
+            ...createTokens(tags[sourceIndex].category));
+        return filteredTags;
     }
     
     /**
-     * 验证替换短语格式
-     * @param {string} replacement - 替换短语
-     * @returns {boolean}
+     * 给标签添加前缀/后缀，已带有相同前缀/后缀时不重复添加
+     * @param {Tag} tag - 命中的标签
+     * @param {string} prefix - 前缀
+     * @param {string} suffix - 后缀
+     * @returns {Tag}
      */
-    _isValidReplacement(replacement) {
-        if (!replacement.trim()) return true; // 空字符串有效（仅删除）
+    _affixTag(tag, prefix, suffix) {
+        const lowerName = tag.name.toLowerCase();
+        let name = tag.name;
+        if (prefix && !lowerName.startsWith(prefix.toLowerCase())) {
+            name = prefix + name;
+        }
+        if (suffix && !lowerName.endsWith(suffix.toLowerCase())) {
+            name = name + suffix;
+        }
         
-        // 检查是否包含逗号但格式不正确
-        if (replacement.includes(',')) {
-            // 检查逗号格式：必须严格为 ", " 分隔
-            // 1. 不能有 ",(" 或 " ," 这样的格式
-            // 2. 逗号前不能有空格，逗号后必须有且只有一个空格
-            
-            // 检查错误的逗号格式
-            if (replacement.match(/\s,|,\s{0}(?!\s)|,\s{2,}/)) {
-                return false;
+        // 帖子数只属于原标签
+        return name === tag.name ? tag : { ...tag, name, count: null };
+    }
+    
+    /**
+     * 查找组命中的标签
+     * @param {Tag[]} tags - 输入标签
+     * @param {Group} group - 组配置
+     * @returns {Map<number, RegExp>} 命中标签索引 → 命中的关键词模式（没有关键词时为匹配整个标签名的模式）
+     */
+    _findGroupMatches(tags, group) {
+        const patterns = this._compileGroupPatterns(group.keywords);
+        const matches = new Map();
+        
+        tags.forEach((tag, index) => {
+            if (!this._isInCategoryScope(tag, group.categoryScope)) {
+                return;
             }
             
-            // 进一步验证：分割后重构应该相同，且分割后不应该有空字符串
-            const parts = replacement.split(', ');
-            if (parts.some(part => !part.trim())) {
-                return false;
+            if (patterns.length === 0) {
+                matches.set(index, /^[\s\S]*$/);
+                return;
             }
             
-            const reconstructed = parts.join(', ');
-            if (reconstructed !== replacement) {
-                return false;
+            // 一个组内任意关键词匹配即可，改写使用首个命中的关键词
+            const pattern = patterns.find(pattern => pattern.test(tag.name));
+            if (pattern) {
+                matches.set(index, pattern);
             }
-        }
+        });
         
-        return true;
+        return matches;
     }
     
     /**
-     * 解析替换短语字符串
-     * @param {string} replacement - 替换短语
-     * @returns {string[]} 替换标签数组
+     * 按改写模板原位改写单个标签
+     * 
+     * 对标签名中首个匹配处做替换，结果按 ", " 拆分为多个标签；
+     * 拆出的标签沿用原标签的权重与分类，结果为空时删除该标签
+     * 
+     * @param {Tag} tag - 命中的标签
+     * @param {RegExp} pattern - 命中的关键词模式
+     * @param {string} rewrite - 改写模板
+     * @returns {Tag[]}
      */
-    _parseReplacementString(replacement) {
-        if (!replacement.trim()) return [];
+    _rewriteTag(tag, pattern, rewrite) {
+        const rewritten = tag.name.replace(pattern, rewrite);
         
-        return replacement
-            .split(', ')
-            .map(token => token.trim())
-            .filter(token => token.length > 0);
-    }
-    
-    /**
-     * 数组去重（保留靠前）
-     * @param {string[]} array - 输入数组
-     * @returns {string[]} 去重后的数组
-     */
-    _dedupeKeepFirst(array) {
-        const seen = new Set();
-        return array.filter(item => {
-            if (seen.has(item)) {
-                return false;
-            }
-            seen.add(item);
-            return true;
-        });
+        return this._parseReplacementString(rewritten).map(name => ({
+            ...tag,
+            name,
+            // 帖子数只属于原标签
+            count: name === tag.name ? tag.count : null
+        }));
     }
     
     /**
-     * 提示词简化算法
-     * @param {string[]} tags - 输入标签数组
-     * @returns {string[]} 简化后的标签数组
+     * 验证改写模板
+     * 
+     * 格式要求与替换短语相同；$1、$2 等反向引用不能超过任一关键词的捕获组数，
+     * 否则该关键词命中时 String.replace 会把它原样输出
+     * 
+     * @param {string} rewrite - 改写模板
+     * @param {Keyword[]} keywords - 组的关键词
+     * @returns {string|null} 错误信息，有效时为null
      */
-    _simplifyTags(tags) {
-        if (!tags || tags.length <= 1) return tags;
+    validateRewrite(rewrite, keywords) {
+        if (!this._isValidReplacement(rewrite)) {
+            return '格式错误：请使用"标签1, 标签2"格式（逗号后必须跟空格）';
+        }
         
-        const indexedTags = tags.map((tag, index) => ({ tag, originalIndex: index }));
-        const result = [];
+        // 每个关键词都可能单独命中，模板须对每个关键词都成立；无关键词时按整个标签匹配，没有捕获组
+        const sources = keywords
+            .map(keyword => ({ text: keyword.text.trim(), pattern: this._compileGroupPatterns([keyword])[0] }))
+            .filter(source => source.pattern);
+        if (sources.length === 0) sources.push({ text: '', pattern: /^[\s\S]*$/ });
         
-        for (let i = 0; i < indexedTags.length; i++) {
-            const currentItem = indexedTags[i];
-            let isContained = false;
+        for (const { text, pattern } of sources) {
+            const groupCount = new RegExp(`${pattern.source}|`, pattern.flags).exec('').length - 1;
             
-            // 检查当前标签是否被其他标签完全包含
-            for (let j = 0; j < indexedTags.length; j++) {
-                if (i === j) continue;
+            for (const [, digits] of rewrite.matchAll(/\$(?:\$|(\d{1,2}))/g)) {
+                if (!digits) continue; // $$ 为字面 $
                 
-                const otherItem = indexedTags[j];
-                if (otherItem.tag.includes(currentItem.tag) && otherItem.tag !== currentItem.tag) {
-                    isContained = true;
-                    break;
+                // 与 String.replace 一致：两位数引用不存在时按一位数处理
+                let index = Number(digits);
+                if (digits.length === 2 && index > groupCount) {
+                    index = Number(digits[0]);
+                }
+                if (index === 0 || index > groupCount) {
+                    return text
+                        ? `引用了不存在的捕获组 $${index}（关键词"${text}"只有 ${groupCount} 个捕获组）`
+                        : `引用了不存在的捕获组 $${index}（没有关键词时不存在捕获组）`;
                 }
-            }
-            
-            if (!isContained) {
-                result.push(currentItem);
             }
         }
         
-        // 按原始顺序排序并返回标签
-        return result
-            .sort((a, b) => a.originalIndex - b.originalIndex)
-            .map(item => item.tag);
+        return null;
     }
     
-    // ====================================================================
-    // 导入导出功能
-    // ====================================================================
-    
     /**
-     * 导出配置
-     * @returns {string} JSON配置字符串
+     * 预览改写结果
+     * @param {Group} group - 组配置
+     * @param {Tag[]} tags - 示例标签（通常为最近一次转换的清理结果）
+     * @returns {Array<{from: string, to: string[]}>} 最多 CONFIG.FILTER.REWRITE_PREVIEW_LIMIT 条
      */
-    exportConfig() {
-        const config = {
-            masterEnabled: this.masterEnabled,
-            simplifyEnabled: this.simplifyEnabled,
-            groups: this.groups,
-            schemaVersion: CONFIG.FILTER.SCHEMA_VERSION,
-            exportedAt: new Date().toISOString()
-        };
+    previewRewrite(group, tags) {
+        if (this.validateRewrite(group.rewrite, group.keywords)) return [];
         
-        return JSON.stringify(config, null, 2);
+        const matches = this._findGroupMatches(tags, group);
+        return Array.from(matches.entries())
+            .slice(0, CONFIG.FILTER.REWRITE_PREVIEW_LIMIT)
+            .map(([index, pattern]) => ({
+                from: tags[index].name,
+                to: this._rewriteTag(tags[index], pattern, group.rewrite).map(tag => tag.name)
+            }));
     }
     
     /**
-     * 验证导入的配置
-     * @param {Object} config - 配置对象
-     * @returns {{valid: boolean, error?: string, migratedConfig?: Object}}
+     * 规范化组的文本字段，非字符串时回退为空字符串
+     * @param {*} value - 原始值
+     * @returns {string}
      */
-    validateImportConfig(config) {
-        if (!config || typeof config !== 'object') {
-            return { valid: false, error: '配置格式无效' };
-        }
-        
-        // 检查必需字段
-        if (typeof config.masterEnabled !== 'boolean') {
-            return { valid: false, error: '缺少 masterEnabled 字段' };
-        }
-        
-        if (!Array.isArray(config.groups)) {
-            return { valid: false, error: '缺少 groups 字段或格式错误' };
-        }
-        
-        // 验证组数据结构
-        for (let i = 0; i < config.groups.length; i++) {
-            const group = config.groups[i];
-            if (!group.id || typeof group.name !== 'string' || !Array.isArray(group.keywords)) {
-                return { valid: false, error: `组 ${i + 1} 数据结构无效` };
-            }
-        }
+    _normalizeText(value) {
+        return typeof value === 'string' ? value : '';
+    }
+    
+    /**
+     * 规范化设置权重操作的权重，缺失或超出范围时回退为默认值
+     * @param {*} weight - 原始权重
+     * @returns {number}
+     */
+    _normalizeActionWeight(weight) {
+        return Number.isFinite(weight) && weight > 0 && weight <= CONFIG.FILTER.MAX_ACTION_WEIGHT
+            ? weight
+            : CONFIG.FILTER.DEFAULT_ACTION_WEIGHT;
+    }
+    
+    /**
+     * 规范化替换短语的插入位置，缺失或无效时回退为首次命中的位置
+     * @param {*} position - 原始插入位置
+     * @returns {string}
+     */
+    _normalizeReplacementPosition(position) {
+        return Object.values(CONFIG.FILTER.REPLACEMENT_POSITIONS).includes(position)
+            ? position
+            : CONFIG.FILTER.DEFAULT_REPLACEMENT_POSITION;
+    }
+    
+    /**
+     * 规范化组的命中操作，缺失或无效时回退为删除并替换
+     * @param {*} action - 原始操作
+     * @returns {string}
+     */
+    _normalizeGroupAction(action) {
+        return Object.values(CONFIG.FILTER.GROUP_ACTIONS).includes(action)
+            ? action
+            : CONFIG.FILTER.DEFAULT_GROUP_ACTION;
+    }
+    
+    /**
+     * 判断组是否参与过滤：需启用，且有关键词或限定了分类范围
+     * 
+     * 没有关键词时只有至少勾选了一个分类才算限定，
+     * 否则刚切换到"排除所选分类"的组会命中全部标签
+     * 
+     * @param {Group} group - 组配置
+     * @returns {boolean}
+     */
+    _isGroupActive(group) {
+        const scope = group.categoryScope;
+        return group.enabled &&
+            (group.keywords.length > 0 ||
+                (scope.mode !== CONFIG.FILTER.CATEGORY_SCOPE_MODES.ALL && scope.categories.length > 0));
+    }
+    
+    /**
+     * 判断组的执行条件是否满足
+     * @param {Tag[]} tags - 执行到本组时的标签列表
+     * @param {GroupConditions} conditions - 执行条件
+     * @returns {boolean}
+     */
+    _isConditionMet(tags, conditions) {
+        const hasMatch = keywords => {
+            const patterns = this._compileGroupPatterns(keywords);
+            return tags.some(tag => patterns.some(pattern => pattern.test(tag.name)));
+        };
+        
+        if (conditions.anyOf.length > 0 && !hasMatch(conditions.anyOf)) {
+            return false;
+        }
+        if (conditions.noneOf.length > 0 && hasMatch(conditions.noneOf)) {
+            return false;
+        }
+        return true;
+    }
+    
+    /**
+     * 规范化执行条件，缺失的列表视为空
+     * @param {*} conditions - 原始执行条件
+     * @returns {GroupConditions}
+     */
+    _normalizeConditions(conditions) {
+        return {
+            anyOf: this._normalizeKeywords(conditions?.anyOf),
+            noneOf: this._normalizeKeywords(conditions?.noneOf)
+        };
+    }
+    
+    /**
+     * 验证执行条件结构
+     * @param {*} conditions - 待验证的执行条件
+     * @returns {boolean}
+     */
+    _isValidConditions(conditions) {
+        return !!conditions && typeof conditions === 'object' &&
+            ['anyOf', 'noneOf'].every(key =>
+                conditions[key] === undefined ||
+                (Array.isArray(conditions[key]) && conditions[key].every(keyword => this._isValidKeyword(keyword))));
+    }
+    
+    /**
+     * 判断标签是否在组的分类范围内
+     * @param {Tag} tag - 标签
+     * @param {CategoryScope} scope - 分类范围
+     * @returns {boolean}
+     */
+    _isInCategoryScope(tag, scope) {
+        const modes = CONFIG.FILTER.CATEGORY_SCOPE_MODES;
+        switch (scope.mode) {
+            case modes.INCLUDE:
+                return scope.categories.includes(tag.category);
+            case modes.EXCLUDE:
+                // 未分类标签（来源没有分类信息）默认不在范围内，需用户勾选
+                if (!tag.category) return scope.includeUncategorized;
+                return !scope.categories.includes(tag.category);
+            case modes.ALL:
+            default:
+                return true;
+        }
+    }
+    
+    /**
+     * 校验分类范围
+     * @param {*} scope - 待校验的分类范围
+     * @returns {boolean}
+     */
+    _isValidCategoryScope(scope) {
+        const validCategories = Object.values(CONFIG.TAG_CATEGORIES);
+        return !!scope && typeof scope === 'object' &&
+            Object.values(CONFIG.FILTER.CATEGORY_SCOPE_MODES).includes(scope.mode) &&
+            Array.isArray(scope.categories) &&
+            scope.categories.every(category => validCategories.includes(category)) &&
+            (scope.includeUncategorized === undefined || typeof scope.includeUncategorized === 'boolean');
+    }
+    
+    /**
+     * 规范化分类范围，缺失或无效时回退为作用于所有标签
+     * @param {*} scope - 原始分类范围
+     * @returns {CategoryScope}
+     */
+    _normalizeCategoryScope(scope) {
+        if (!this._isValidCategoryScope(scope)) {
+            return createDefaultCategoryScope();
+        }
+        return {
+            mode: scope.mode,
+            categories: [...new Set(scope.categories)],
+            includeUncategorized: scope.includeUncategorized ?? false
+        };
+    }
+    
+    /**
+     * 验证关键词结构
+     * @param {*} keyword - 待验证的关键词
+     * @returns {boolean}
+     */
+    _isValidKeyword(keyword) {
+        return !!keyword && typeof keyword === 'object' &&
+            typeof keyword.text === 'string' &&
+            Object.values(CONFIG.FILTER.KEYWORD_MODES).includes(keyword.mode);
+    }
+    
+    /**
+     * 规范化关键词数组
+     * 
+     * 旧版本的字符串关键词一律按不加锚点的正则匹配，迁移为正则模式以保持匹配结果不变；
+     * 不能迁移为包含匹配，否则会多出空格与下划线等价的匹配（long_hair 命中 long hair）
+     * 
+     * @param {*} keywords - 原始关键词数组
+     * @returns {Keyword[]}
+     */
+    _normalizeKeywords(keywords) {
+        if (!Array.isArray(keywords)) return [];
+        
+        return keywords
+            .map(keyword => {
+                if (typeof keyword === 'string') {
+                    return createKeyword(keyword, CONFIG.FILTER.KEYWORD_MODES.REGEX);
+                }
+                return this._isValidKeyword(keyword) ? createKeyword(keyword.text, keyword.mode) : null;
+            })
+            .filter(keyword => keyword && keyword.text.trim());
+    }
+    
+    /**
+     * 编译组关键词为正则表达式模式
+     * 
+     * 除正则模式外，关键词中的空格与下划线视为等价（long_hair 与 long hair 互相匹配）
+     * 
+     * @param {Keyword[]} keywords - 关键词数组
+     * @returns {RegExp[]} 编译后的正则表达式数组
+     */
+    _compileGroupPatterns(keywords) {
+        const modes = CONFIG.FILTER.KEYWORD_MODES;
+        const patterns = [];
+        
+        for (const { text, mode } of keywords) {
+            const keyword = text.trim();
+            if (!keyword) continue;
+            
+            const literal = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const escaped = literal.replace(/[ _]/g, '[ _]');
+            
+            switch (mode) {
+                case modes.REGEX:
+                    try {
+                        patterns.push(new RegExp(keyword, 'i'));
+                    } catch (error) {
+                        // 无效正则，按完全匹配处理（与旧版本一致，空格与下划线不等价）
+                        patterns.push(new RegExp(`^${literal}$`, 'i'));
+                    }
+                    break;
+                case modes.WORD:
+                    // 前后不能紧邻字母或数字，空格、下划线、括号等均视为词边界
+                    patterns.push(new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu'));
+                    break;
+                case modes.CONTAINS:
+                    patterns.push(new RegExp(escaped, 'i'));
+                    break;
+                case modes.GLOB:
+                    patterns.push(new RegExp(`^${escaped.replace(/\\\*/g, '.*').replace(/\\\?/g, '.')}$`, 'i'));
+                    break;
+                default:
+                    patterns.push(new RegExp(`^${escaped}$`, 'i'));
+            }
+        }
+        
+        return patterns;
+    }
+    
+    /**
+     * 验证替换短语格式
+     * @param {string} replacement - 替换短语
+     * @returns {boolean}
+     */
+    _isValidReplacement(replacement) {
+        if (!replacement.trim()) return true; // 空字符串有效（仅删除）
+        
+        // 检查是否包含逗号但格式不正确
+        if (replacement.includes(',')) {
+            // 检查逗号格式：必须严格为 ", " 分隔
+            // 1. 不能有 ",(" 或 " ," 这样的格式
+            // 2. 逗号前不能有空格，逗号后必须有且只有一个空格
+            
+            // 检查错误的逗号格式
+            if (replacement.match(/\s,|,\s{0}(?!\s)|,\s{2,}/)) {
+                return false;
+            }
+            
+            // 进一步验证：分割后重构应该相同，且分割后不应该有空字符串
+            const parts = replacement.split(', ');
+            if (parts.some(part => !part.trim())) {
+                return false;
+            }
+            
+            const reconstructed = parts.join(', ');
+            if (reconstructed !== replacement) {
+                return false;
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * 解析替换短语字符串
+     * @param {string} replacement - 替换短语
+     * @returns {string[]} 替换标签数组
+     */
+    _parseReplacementString(replacement) {
+        if (!replacement.trim()) return [];
+        
+        return replacement
+            .split(', ')
+            .map(token => token.trim())
+            .filter(token => token.length > 0);
+    }
+    
+    /**
+     * 标签去重（按裸标签名，保留靠前）
+     * 
+     * "逐个原位替换"插入的副本（perMatch）总是保留，但仍会去掉之后与之同名的普通标签
+     * 
+     * @param {Tag[]} array - 输入数组
+     * @returns {Tag[]} 去重后的数组
+     */
+    _dedupeKeepFirst(array) {
+        const seen = new Set();
+        return array.filter(item => {
+            if (seen.has(item.name) && !item.perMatch) {
+                return false;
+            }
+            seen.add(item.name);
+            return true;
+        });
+    }
+    
+    /**
+     * 提示词简化算法
+     * @param {Tag[]} tags - 输入标签数组
+     * @returns {Tag[]} 简化后的标签数组
+     */
+    _simplifyTags(tags) {
+        if (!tags || tags.length <= 1) return tags;
+        
+        const indexedTags = tags.map((tag, index) => ({ tag, originalIndex: index }));
+        const result = [];
+        
+        for (let i = 0; i < indexedTags.length; i++) {
+            const currentItem = indexedTags[i];
+            let isContained = false;
+            
+            // 检查当前标签是否被其他标签完全包含
+            for (let j = 0; j < indexedTags.length; j++) {
+                if (i === j) continue;
+                
+                const otherItem = indexedTags[j];
+                if (otherItem.tag.name.includes(currentItem.tag.name) && otherItem.tag.name !== currentItem.tag.name) {
+                    isContained = true;
+                    break;
+                }
+            }
+            
+            if (!isContained) {
+                result.push(currentItem);
+            }
+        }
+        
+        // 按原始顺序排序并返回标签
+        return result
+            .sort((a, b) => a.originalIndex - b.originalIndex)
+            .map(item => item.tag);
+    }
+    
+    // ====================================================================
+    // 导入导出功能
+    // ====================================================================
+    
+    /**
+     * 导出配置
+     * @param {Object} extras - 随过滤器一起导出的其他设置（如 training）
+     * @returns {string} JSON配置字符串
+     */
+    exportConfig(extras = {}) {
+        const config = {
+            masterEnabled: this.masterEnabled,
+            simplifyEnabled: this.simplifyEnabled,
+            groups: this.groups,
+            ...extras,
+            schemaVersion: CONFIG.FILTER.SCHEMA_VERSION,
+            exportedAt: new Date().toISOString()
+        };
+        
+        return JSON.stringify(config, null, 2);
+    }
+    
+    /**
+     * 验证导入的配置
+     * @param {Object} config - 配置对象
+     * @returns {{valid: boolean, error?: string, migratedConfig?: Object}}
+     */
+    validateImportConfig(config) {
+        if (!config || typeof config !== 'object') {
+            return { valid: false, error: '配置格式无效' };
+        }
+        
+        // 检查必需字段
+        if (typeof config.masterEnabled !== 'boolean') {
+            return { valid: false, error: '缺少 masterEnabled 字段' };
+        }
+        
+        if (!Array.isArray(config.groups)) {
+            return { valid: false, error: '缺少 groups 字段或格式错误' };
+        }
+        
+        // 随过滤器导出的训练辅助设置为可选字段，存在时必须有效，否则导入后会被静默丢弃
+        if (config.training !== undefined && !tagConverter.trainingFormatter.isValidSettings(config.training)) {
+            return { valid: false, error: '训练辅助设置无效' };
+        }
+        
+        // 验证组数据结构
+        for (let i = 0; i < config.groups.length; i++) {
+            const group = config.groups[i];
+            if (!group.id || typeof group.name !== 'string' || !Array.isArray(group.keywords)) {
+                return { valid: false, error: `组 ${i + 1} 数据结构无效` };
+            }
+            // 关键词可为字符串（schemaVersion 2 及以前）或带匹配方式的对象
+            if (!group.keywords.every(keyword => typeof keyword === 'string' || this._isValidKeyword(keyword))) {
+                return { valid: false, error: `组 ${i + 1} 关键词无效` };
+            }
+            if (group.action !== undefined && !Object.values(CONFIG.FILTER.GROUP_ACTIONS).includes(group.action)) {
+                return { valid: false, error: `组 ${i + 1} 命中操作无效` };
+            }
+            if (group.conditions !== undefined && !this._isValidConditions(group.conditions)) {
+                return { valid: false, error: `组 ${i + 1} 执行条件无效` };
+            }
+            if (group.replacement !== undefined && typeof group.replacement !== 'string') {
+                return { valid: false, error: `组 ${i + 1} 替换短语无效` };
+            }
+            if (['rewrite', 'prefix', 'suffix'].some(field => group[field] !== undefined && typeof group[field] !== 'string')) {
+                return { valid: false, error: `组 ${i + 1} 改写模板或前缀/后缀无效` };
+            }
+            if (group.replacementPosition !== undefined &&
+                !Object.values(CONFIG.FILTER.REPLACEMENT_POSITIONS).includes(group.replacementPosition)) {
+                return { valid: false, error: `组 ${i + 1} 替换位置无效` };
+            }
+            // 分类范围为可选字段（schemaVersion 1 没有），存在时必须有效
+            if (group.categoryScope !== undefined && !this._isValidCategoryScope(group.categoryScope)) {
+                return { valid: false, error: `组 ${i + 1} 分类范围无效` };
+            }
+        }
         
         // 字段迁移（如果需要）
         const migratedConfig = this._migrateConfigSchema(config);
@@ -702,7 +1572,8 @@ class GroupedFilterManager {
      * 导入配置
      * @param {string} configJson - JSON配置字符串
      * @param {boolean} append - 是否追加模式，否则覆盖
-     * @returns {{success: boolean, error?: string, importedGroups?: number}}
+     * @returns {{success: boolean, error?: string, importedGroups?: number, config?: Object}}
+     *          config 为迁移后的完整配置，供调用方读取随过滤器导出的其他设置
      */
     importConfig(configJson, append = false) {
         try {
@@ -729,7 +1600,8 @@ class GroupedFilterManager {
                 
                 return { 
                     success: true, 
-                    importedGroups: newGroups.length 
+                    importedGroups: newGroups.length,
+                    config: importConfig
                 };
             } else {
                 // 覆盖模式：完全替换配置
@@ -745,7 +1617,8 @@ class GroupedFilterManager {
                 
                 return { 
                     success: true, 
-                    importedGroups: this.groups.length 
+                    importedGroups: this.groups.length,
+                    config: importConfig
                 };
             }
         } catch (error) {
@@ -772,13 +1645,28 @@ class GroupedFilterManager {
             name: group.name || '未命名组',
             enabled: group.enabled ?? true,
             collapsed: group.collapsed ?? true,
-            keywords: group.keywords || [],
-            replacement: group.replacement || '',
+            // v2 → v3：字符串关键词迁移为带匹配方式的关键词，保持原有匹配结果
+            keywords: this._normalizeKeywords(group.keywords),
+            // v3 → v4：旧配置没有命中操作，迁移为删除并替换
+            action: this._normalizeGroupAction(group.action),
+            replacement: this._normalizeText(group.replacement),
+            // v6 → v7：旧配置固定插入到首次命中的位置
+            replacementPosition: this._normalizeReplacementPosition(group.replacementPosition),
+            rewrite: this._normalizeText(group.rewrite),
+            // v5 → v6：权重与前后缀为新操作的参数，缺失时取默认值
+            weight: this._normalizeActionWeight(group.weight),
+            prefix: this._normalizeText(group.prefix),
+            suffix: this._normalizeText(group.suffix),
+            // v1 → v2：旧配置没有分类范围，迁移为作用于所有标签
+            categoryScope: this._normalizeCategoryScope(group.categoryScope),
+            // v4 → v5：旧配置没有执行条件，迁移为无条件执行
+            conditions: this._normalizeConditions(group.conditions),
             meta: {
                 currentMatchCount: 0,
                 ...group.meta
             }
         }));
+        migrated.schemaVersion = CONFIG.FILTER.SCHEMA_VERSION;
         
         // 确保有简化开关字段
         if (typeof migrated.simplifyEnabled !== 'boolean') {
@@ -815,7 +1703,8 @@ class GroupedFilterManager {
                     groupNames,
                     totalKeywords,
                     schemaVersion: importConfig.schemaVersion,
-                    exportedAt: importConfig.exportedAt
+                    exportedAt: importConfig.exportedAt,
+                    hasTraining: importConfig.training !== undefined
                 }
             };
         } catch (error) {
@@ -1269,23 +2158,50 @@ class FilterManager {
 
 class TagConverter {
     constructor() {
-        this.formatDetector = new FormatDetector();
         this.contentExtractor = new ContentExtractor();
+        this.formatDetector = new FormatDetector(this.contentExtractor);
         this.contentCleaner = new ContentCleaner();
         this.filterManager = new GroupedFilterManager();
+        this.postCountFilter = new PostCountFilter();
+        this.batchProcessor = new BatchProcessor();
+        this.trainingFormatter = new TrainingFormatter();
+        this.outputFormatter = new OutputFormatter();
         this.uiManager = new UIManager();
+        
+        // 最近一次转换结果的标签对象，供按分类输出使用
+        this.lastTags = [];
+        
+        // 最近一次转换的格式检测结果，供批量模式汇总
+        this.lastDetection = null;
+        
+        // 最近一次转换过滤前（清理去重后）的标签，供标签统计使用
+        this.lastCleanedTags = [];
+        
+        // 最近一次转换中 keep_tokens 范围内（触发词 + 固定标签）的标签数
+        this.lastKeepTokens = 0;
+        
+        // 最近一次批量转换的结果，供下载使用
+        this.lastBatchResults = [];
+        
+        // 批量模式的标签频率统计
+        this.batchStatistics = new TagStatistics();
     }
     
     /**
      * 主转换方法 - 四阶段处理流程的核心入口
      * 
      * 处理流程：
-     * 1. 格式检测：识别输入文本的格式类型（Danbooru/Gelbooru/Standard）
-     * 2. 内容提取：根据格式类型提取原始tag内容
+     * 1. 格式检测：各格式处理器给出置信度，取最高者（或用户手动指定的格式）
+     * 2. 内容提取：由选中格式处理器的提取器提取原始tag内容
      * 3. 内容清理：标准化处理、去重、移除权重等
      * 4. 自定义过滤：应用用户设定的过滤规则
      * 
-     * @param {string} input - 输入的原始文本
+     * 帖子数过滤在自定义过滤之前移除低频标签，热度排序在自定义过滤之后进行，
+     * 训练辅助（触发词、固定标签、打乱）在最后进行
+     * 
+     * 清理阶段起标签以 Tag 对象流转（裸标签名 + 权重），最后按输出设置序列化
+     * 
+     * @param {string} input - 输入的原始文本
      * @returns {string[]} - 处理后的tag数组
      * 
      * @throws {Error} 当转换过程中发生错误时抛出异常
@@ -1297,362 +2213,2955 @@ class TagConverter {
         
         try {
             // 四阶段处理流程
-            const format = this.formatDetector.detect(input.trim());
-            const rawContent = this.contentExtractor.extract(input.trim(), format);
+            const detection = this.formatDetector.resolve(input.trim());
+            const format = detection.handler.id;
+            this.lastDetection = detection;
+            const rawContent = detection.handler.extract(input.trim());
             const cleanedTags = this.contentCleaner.clean(rawContent);
-            const filteredTags = this.filterManager.applyFilter(cleanedTags);
+            this.lastCleanedTags = cleanedTags;
+            const countedTags = this.postCountFilter.applyMinCount(cleanedTags);
+            const filteredTags = this.postCountFilter.sort(this.filterManager.applyFilter(countedTags));
+            const training = this.trainingFormatter.apply(filteredTags);
+            this.lastTags = training.tags;
+            this.lastKeepTokens = training.keepTokens;
+            
+            // WebUI参数/ComfyUI：负面提示词和生成设置不参与清理过滤，仅供展示
+            const parameters = this.getParameters(input.trim(), format);
+            const comfyUIPrompts = format === CONFIG.FORMATS.COMFYUI
+                ? this.contentExtractor.getComfyUIPrompts(input.trim())
+                : null;
             
             // 更新UI状态
-            this.uiManager.updateFormatStatus(format, filteredTags.length);
+            this.uiManager.updateFormatStatus(
+                detection,
+                training.tags.length,
+                cleanedTags.length - countedTags.length,
+                this.getExtractionWarning(format, cleanedTags)
+            );
+            this.uiManager.updateParametersInfo(parameters);
+            this.uiManager.updateComfyUINodes(comfyUIPrompts, this.contentExtractor.comfyUINodeId);
             this.uiManager.updateFilterStatus(this.filterManager.getStatus());
+            this.uiManager.updateTrainingPreview(
+                this.trainingFormatter.enabled ? this.outputFormatter.format(training.tags) : null,
+                training.keepTokens
+            );
             
-            return filteredTags;
+            return this.outputFormatter.format(training.tags);
         } catch (error) {
             console.error('转换过程中发生错误:', error);
             this.uiManager.showError('转换失败，请检查输入格式');
+            this.lastTags = [];
+            this.lastCleanedTags = [];
+            this.lastKeepTokens = 0;
+            this.lastDetection = null;
             return [];
         }
     }
-}
-
-// ====================================================================
-// 格式检测模块
-// ====================================================================
-
-class FormatDetector {
+    
     /**
-     * 检测输入文本的格式类型
-     * @param {string} input - 输入文本
-     * @returns {string} - 格式类型（danbooru/gelbooru/standard）
+     * 批量转换：每个帖子单独走一遍 convert，格式状态显示汇总，同时累计标签统计
+     * @param {BatchPost[]} posts - 拆分后的帖子
+     * @returns {Array<{name: string, format: string|null, tags: string[]}>} - 每个帖子的结果
      */
-    detect(input) {
-        const hasNewlines = input.includes('\n');
-        const hasGelbooruMarkers = CONFIG.PATTERNS.GELBOORU_MARKERS.test(input);
-        const hasQuestionMarks = input.includes('?');
-        
-        // 格式判断逻辑
-        if (!hasNewlines && hasGelbooruMarkers) {
-            return CONFIG.FORMATS.GELBOORU;
-        }
-        
-        if (hasNewlines && hasQuestionMarks) {
-            return CONFIG.FORMATS.DANBOORU;
-        }
+    convertBatch(posts) {
+        this.batchStatistics.reset();
         
-        if (!hasNewlines && hasQuestionMarks) {
-            return CONFIG.FORMATS.GELBOORU; // 单行带?的也被视为Gelbooru
-        }
+        const results = posts.map(post => {
+            const tags = this.convert(post.text);
+            this.batchStatistics.addPost(this.lastCleanedTags, this.lastTags, this.filterManager);
+            return {
+                name: post.name,
+                format: this.lastDetection ? this.lastDetection.handler.name : null,
+                tags
+            };
+        });
         
-        return CONFIG.FORMATS.STANDARD; // 默认为标准格式
+        this.lastBatchResults = results;
+        this.uiManager.updateBatchStatus(results);
+        return results;
     }
-}
-
-// ====================================================================
-// 内容提取模块
-// ====================================================================
-
-class ContentExtractor {
+    
     /**
-     * 根据格式类型提取原始内容
-     * @param {string} input - 输入文本
-     * @param {string} format - 格式类型
-     * @returns {string} - 提取的原始内容
+     * 清理单个训练caption：只经过清理、自定义过滤和训练辅助阶段，不做格式检测，不更新界面
+     * @param {string} caption - caption文件内容
+     * @returns {{cleanedTags: Tag[], filteredTags: Tag[], tags: string[], keepTokens: number}}
+     *          过滤前后的标签、处理后的tag数组和 keep_tokens 范围内的标签数
      */
-    extract(input, format) {
-        switch (format) {
-            case CONFIG.FORMATS.DANBOORU:
-                return this.extractDanbooru(input);
-            case CONFIG.FORMATS.GELBOORU:
-                return this.extractGelbooru(input);
-            case CONFIG.FORMATS.STANDARD:
-            default:
-                return input; // 标准格式直接返回
-        }
+    cleanCaption(caption) {
+        // caption是纯文本，没有帖子数，count 为null时清理阶段不移除 year 2023 这类标签的末尾数字
+        const cleanedTags = this.contentCleaner.clean([{ text: caption, category: null, count: null }]);
+        const filteredTags = this.filterManager.applyFilter(cleanedTags);
+        const training = this.trainingFormatter.apply(filteredTags);
+        return {
+            cleanedTags,
+            filteredTags,
+            tags: this.outputFormatter.format(training.tags),
+            keepTokens: training.keepTokens
+        };
     }
     
     /**
-     * 提取Danbooru格式内容
-     * @param {string} input - Danbooru格式输入
-     * @returns {string} - 提取的内容
+     * 检查提取结果是否可疑：看起来是Danbooru却一个标签也没提取到
+     * @param {string} format - 格式类型
+     * @param {Tag[]} cleanedTags - 清理后的标签
+     * @returns {string|null} - 警告信息
      */
-    extractDanbooru(input) {
-        const lines = input.split('\n').map(line => line.trim());
-        const contents = [];
-        
-        for (let i = 0; i < lines.length; i++) {
-            // 找到?标记行，提取下一行内容
-            if (lines[i] === '?' && i + 1 < lines.length) {
-                contents.push(lines[i + 1]);
-                i++; // 跳过已处理的下一行
-            }
+    getExtractionWarning(format, cleanedTags) {
+        if (format === CONFIG.FORMATS.DANBOORU && cleanedTags.length === 0) {
+            return '未能从Danbooru内容中提取到标签，请检查复制内容或手动指定格式';
         }
-        
-        return contents.join(', '); // 用逗号连接保持结构
+        return null;
     }
     
     /**
-     * 提取Gelbooru格式内容
-     * @param {string} input - Gelbooru格式输入
-     * @returns {string} - 提取的内容
+     * 获取按分类分组的输出；非分类视图或结果中没有任何分类信息时返回null
+     * @returns {Array<{category: string|null, name: string, tags: string[]}>|null}
      */
-    extractGelbooru(input) {
-        const segments = input.split('?');
-        const processedSegments = [];
-        
-        for (const segment of segments) {
-            const trimmedSegment = segment.trim();
-            if (!trimmedSegment) continue;
-            
-            const processedContent = this.processGelbooruSegment(trimmedSegment);
-            if (processedContent) {
-                processedSegments.push(processedContent);
-            }
+    getCategoryGroups() {
+        if (this.outputFormatter.view !== CONFIG.OUTPUT.VIEWS.CATEGORY ||
+            !this.lastTags.some(tag => tag.category)) {
+            return null;
         }
-        
-        return processedSegments.join(', ');
+        return this.outputFormatter.formatByCategory(this.lastTags);
     }
     
     /**
-     * 处理单个Gelbooru段落
-     * @param {string} segment - 单个段落
-     * @returns {string|null} - 处理后的内容或null
+     * 获取随提示词附带的负面提示词和生成设置
+     * @param {string} input - 输入文本
+     * @param {string} format - 格式类型
+     * @returns {{negative: string, settings: Array<{key: string, value: string}>}|null}
      */
-    processGelbooruSegment(segment) {
-        // 检查是否以分类标识符开头
-        const categoryMatch = segment.match(CONFIG.PATTERNS.CATEGORY_CONTENT);
-        
-        if (categoryMatch) {
-            // 提取分类标识符后面的内容
-            let content = categoryMatch[2];
-            // 移除末尾数字和可能的下一个分类标识符
-            content = content.replace(CONFIG.PATTERNS.GELBOORU_WEIGHT, '').trim();
-            return content || null;
-        } else {
-            // 普通内容，移除末尾数字
-            const cleaned = segment.replace(/\s+\d+.*$/, '').trim();
-            return (cleaned && cleaned.length > 1) ? cleaned : null;
+    getParameters(input, format) {
+        switch (format) {
+            case CONFIG.FORMATS.WEBUI:
+                return this.contentExtractor.parseWebUIParameters(input);
+            case CONFIG.FORMATS.COMFYUI:
+                return this.contentExtractor.getComfyUIParameters(input);
+            default:
+                return null;
         }
     }
 }
 
 // ====================================================================
-// 内容清理模块
+// 格式检测模块
 // ====================================================================
 
-class ContentCleaner {
+/**
+ * 格式处理器数据结构
+ * @typedef {Object} FormatHandler
+ * @property {string} id - 格式类型（CONFIG.FORMATS 中的值）
+ * @property {string} name - 显示名称
+ * @property {function(string): number} score - 置信度，0 表示不可能，1 表示确定
+ * @property {function(string): (string|TagEntry[])} extract - 提取原始内容
+ */
+
+/**
+ * FormatDetector - 格式检测模块
+ * 
+ * 维护格式处理器注册表，每个处理器对输入给出置信度并提供自己的提取器；
+ * 检测结果取置信度最高者（相同时按注册顺序），用户也可手动指定格式
+ */
+class FormatDetector {
     /**
-     * 清理和标准化内容
-     * @param {string} rawText - 原始文本内容
-     * @returns {string[]} - 清理后的tag数组
+     * @param {ContentExtractor} contentExtractor - 内置格式使用的提取器
      */
-    clean(rawText) {
-        if (!rawText) return [];
-        
-        // 按逗号分割并清理每个片段
-        const segments = rawText.split(',').map(segment => segment.trim());
-        const cleanedTags = [];
+    constructor(contentExtractor = new ContentExtractor()) {
+        /** @type {FormatHandler[]} */
+        this.handlers = [];
         
-        for (const segment of segments) {
-            const cleanedTag = this.cleanSingleTag(segment);
-            if (cleanedTag) {
-                cleanedTags.push(cleanedTag);
-            }
-        }
+        // 手动指定的格式，null表示自动检测
+        this.override = null;
         
-        return this.removeDuplicates(cleanedTags);
+        this.registerDefaultHandlers(contentExtractor);
+        this.loadOverride();
     }
     
     /**
-     * 清理单个tag
-     * @param {string} tag - 单个tag
-     * @returns {string|null} - 清理后的tag或null
+     * 注册内置格式处理器
+     * @param {ContentExtractor} extractor - 内容提取器
      */
-    cleanSingleTag(tag) {
-        if (!tag) return null;
+    registerDefaultHandlers(extractor) {
+        this.register({
+            id: CONFIG.FORMATS.COMFYUI,
+            name: 'ComfyUI',
+            // JSON结构明确，文本节点中可能含有任意格式的内容
+            score: input => this.isComfyUIGraph(input) ? 1 : 0,
+            extract: input => extractor.extractComfyUI(input)
+        });
         
-        // 跳过纯分类标识符
-        if (this.isPureCategoryWord(tag)) {
-            return null;
-        }
+        this.register({
+            id: CONFIG.FORMATS.HTML,
+            name: 'HTML标签列表',
+            // 类名直接给出分类和帖子数，比任何文本格式都可靠
+            score: input => this.isBooruTagListHtml(input) ? 0.98 : 0,
+            extract: input => extractor.extractBooruHtml(input)
+        });
         
-        // 移除末尾的数字权重
-        let cleaned = tag.replace(CONFIG.PATTERNS.WEIGHT_REMOVAL, '').trim();
+        this.register({
+            id: CONFIG.FORMATS.API,
+            name: 'Booru API',
+            // 带标签字段的帖子JSON/XML，字段名直接给出分类
+            score: input => extractor.getApiPosts(input).length > 0 ? 0.99 : 0,
+            extract: input => extractor.extractApiPosts(input)
+        });
         
-        // 标准化空格
-        cleaned = cleaned.replace(CONFIG.PATTERNS.NORMALIZE_SPACES, ' ').trim();
+        this.register({
+            id: CONFIG.FORMATS.WEBUI,
+            name: 'WebUI参数',
+            score: input => this.scoreWebUIParameters(input),
+            extract: input => extractor.parseWebUIParameters(input).positive
+        });
         
-        // 验证有效性
-        return (cleaned && cleaned.length > 0) ? cleaned : null;
+        this.register({
+            id: CONFIG.FORMATS.BOORU,
+            name: 'Booru标签串',
+            score: input => {
+                if (this.isBooruSearchUrl(input)) return 0.95;
+                return this.isBooruTagString(input) ? 0.7 : 0;
+            },
+            extract: input => extractor.extractBooruString(input)
+        });
+        
+        this.register({
+            id: CONFIG.FORMATS.DANBOORU,
+            name: 'Danbooru',
+            score: input => this.scoreDanbooru(input),
+            extract: input => extractor.extractDanbooru(input)
+        });
+        
+        this.register({
+            id: CONFIG.FORMATS.E621,
+            name: 'e621',
+            score: input => this.scoreE621(input),
+            extract: input => extractor.extractE621(input)
+        });
+        
+        this.register({
+            id: CONFIG.FORMATS.SANKAKU,
+            name: 'Sankaku',
+            score: input => this.scoreSankaku(input),
+            extract: input => extractor.extractSankaku(input)
+        });
+        
+        this.register({
+            id: CONFIG.FORMATS.MOEBOORU,
+            name: 'Yande.re/Konachan',
+            score: input => this.scoreMoebooru(input),
+            extract: input => extractor.extractMoebooru(input)
+        });
+        
+        this.register({
+            id: CONFIG.FORMATS.GELBOORU,
+            name: 'Gelbooru',
+            score: input => this.scoreGelbooru(input),
+            extract: input => extractor.extractGelbooru(input)
+        });
+        
+        this.register({
+            id: CONFIG.FORMATS.STANDARD,
+            name: 'Standard',
+            // 兜底格式：逗号分隔时置信度更高
+            score: input => input.includes(',') ? 0.5 : 0.3,
+            extract: input => input
+        });
     }
     
     /**
-     * 检查是否为纯分类标识符
-     * @param {string} tag - 待检查的tag
-     * @returns {boolean} - 是否为分类标识符
+     * 注册格式处理器，同ID的处理器会被替换
+     * @param {FormatHandler} handler - 格式处理器
      */
-    isPureCategoryWord(tag) {
-        return CONFIG.CATEGORY_MARKERS.some(
-            word => word.toLowerCase() === tag.toLowerCase()
-        );
+    register(handler) {
+        const index = this.handlers.findIndex(item => item.id === handler.id);
+        if (index === -1) {
+            this.handlers.push(handler);
+        } else {
+            this.handlers[index] = handler;
+        }
     }
     
     /**
-     * 移除重复的tag
-     * @param {string[]} tags - tag数组
-     * @returns {string[]} - 去重后的tag数组
+     * 获取格式处理器
+     * @param {string} id - 格式类型
+     * @returns {FormatHandler|null}
      */
-    removeDuplicates(tags) {
-        const seen = new Set();
-        return tags.filter(tag => {
-            const lowerTag = tag.toLowerCase();
-            if (seen.has(lowerTag)) {
-                return false;
-            }
-            seen.add(lowerTag);
-            return true;
-        });
+    getHandler(id) {
+        return this.handlers.find(handler => handler.id === id) || null;
     }
-}
-
-// ====================================================================
-// 用户界面管理模块
-// ====================================================================
-
-class UIManager {
-    constructor() {
-        this.elements = {
-            input: document.getElementById('input'),
-            output: document.getElementById('output'),
-            formatStatus: document.getElementById('format-status'),
-            filterEnabled: document.getElementById('filter-enabled'),
-            filterKeywords: document.getElementById('filter-keywords'),
-            filterCount: document.getElementById('filter-count'),
-            filteredCount: document.getElementById('filtered-count'),
-            filterExpand: document.getElementById('filter-expand'),
-            filterContent: document.getElementById('filter-content'),
-            // 提示词简化功能的UI元素
-            simplifyEnabled: document.getElementById('simplify-enabled'),
-            simplifyToggle: document.getElementById('simplify-toggle'),
-            simplifiedCount: document.getElementById('simplified-count')
-        };
+    
+    /**
+     * 计算所有处理器的置信度并排序
+     * @param {string} input - 输入文本
+     * @returns {Array<{handler: FormatHandler, score: number}>} - 按置信度从高到低排列
+     */
+    rank(input) {
+        return this.handlers
+            .map(handler => {
+                let score = 0;
+                try {
+                    score = Math.max(0, Math.min(1, handler.score(input)));
+                } catch (error) {
+                    console.warn(`格式 ${handler.id} 检测失败:`, error);
+                }
+                return { handler, score };
+            })
+            .sort((a, b) => b.score - a.score);
     }
     
     /**
-     * 更新格式状态显示
-     * @param {string} format - 检测到的格式
-     * @param {number} tagCount - tag数量
+     * 检测输入文本的格式类型（忽略手动指定）
+     * @param {string} input - 输入文本
+     * @returns {string} - 格式类型（danbooru/gelbooru/webui/comfyui/booru/standard）
      */
-    updateFormatStatus(format, tagCount) {
-        const statusEl = this.elements.formatStatus;
-        if (!statusEl) return;
+    detect(input) {
+        return this.rank(input)[0].handler.id;
+    }
+    
+    /**
+     * 确定用于转换的格式：手动指定优先，否则取置信度最高者
+     * @param {string} input - 输入文本
+     * @returns {{handler: FormatHandler, score: number, runnerUp: {handler: FormatHandler, score: number}|null, forced: boolean}}
+     */
+    resolve(input) {
+        const ranking = this.rank(input);
+        const forcedHandler = this.getHandler(this.override);
         
-        const formatNames = {
-            [CONFIG.FORMATS.DANBOORU]: 'Danbooru',
-            [CONFIG.FORMATS.GELBOORU]: 'Gelbooru', 
-            [CONFIG.FORMATS.STANDARD]: 'Standard'
-        };
+        if (forcedHandler) {
+            const forced = ranking.find(item => item.handler === forcedHandler);
+            return { handler: forcedHandler, score: forced.score, runnerUp: null, forced: true };
+        }
         
-        statusEl.textContent = `检测格式: ${formatNames[format]}，提取Tags: ${tagCount}个`;
-        statusEl.className = 'status-indicator detected';
-        statusEl.style.display = 'inline-block';
+        const runnerUp = ranking[1] && ranking[1].score > 0 ? ranking[1] : null;
+        return { handler: ranking[0].handler, score: ranking[0].score, runnerUp, forced: false };
     }
     
     /**
-     * 显示错误信息
-     * @param {string} message - 错误信息
+     * 加载本会话手动指定的格式
      */
-    showError(message) {
-        const outputEl = this.elements.output;
-        if (outputEl) {
-            outputEl.textContent = `⚠️ ${message}`;
-            outputEl.className = '';
+    loadOverride() {
+        try {
+            const saved = sessionStorage.getItem(CONFIG.DETECTION.OVERRIDE_STORAGE_KEY);
+            this.override = this.getHandler(saved) ? saved : null;
+        } catch (error) {
+            console.warn('无法加载指定格式:', error);
         }
     }
     
     /**
-     * 更新输出内容
-     * @param {string[]} tags - tag数组
+     * 手动指定格式
+     * @param {string|null} id - 格式类型，空值表示恢复自动检测
      */
-    updateOutput(tags) {
-        const outputEl = this.elements.output;
-        if (!outputEl) return;
+    setOverride(id) {
+        this.override = this.getHandler(id) ? id : null;
         
-        if (tags.length === 0) {
-            outputEl.textContent = '等待输入内容进行转换...';
-            outputEl.className = '';
-        } else {
-            outputEl.textContent = tags.join(', ');
-            outputEl.className = 'has-content';
+        try {
+            if (this.override) {
+                sessionStorage.setItem(CONFIG.DETECTION.OVERRIDE_STORAGE_KEY, this.override);
+            } else {
+                sessionStorage.removeItem(CONFIG.DETECTION.OVERRIDE_STORAGE_KEY);
+            }
+        } catch (error) {
+            console.warn('无法保存指定格式:', error);
         }
     }
     
     /**
-     * 显示复制成功反馈
-     * @param {HTMLElement} button - 复制按钮元素
+     * WebUI参数置信度：Steps设置行几乎可以确定，仅有Negative prompt行次之
+     * @param {string} input - 输入文本
+     * @returns {number}
      */
-    showCopySuccess(button) {
-        const originalText = button.textContent;
-        const originalColor = button.style.background;
+    scoreWebUIParameters(input) {
+        const lines = input.split('\n').map(line => line.trim());
+        if (lines.some(line => CONFIG.PATTERNS.WEBUI_SETTINGS_LINE.test(line))) return 0.95;
+        if (lines.some(line => CONFIG.PATTERNS.WEBUI_NEGATIVE_PREFIX.test(line))) return 0.85;
+        return 0;
+    }
+    
+    /**
+     * Danbooru置信度：多行输入
+     * - 有 ?/+/- 标记时按标记在非空行中的占比计算（单独的标记行对应下一行的标签）
+     * - 没有标记时，需同时有分类标题行和以帖子数结尾的标签行
+     * @param {string} input - 输入文本
+     * @returns {number}
+     */
+    scoreDanbooru(input) {
+        if (!input.includes('\n')) return 0;
         
-        button.textContent = '✅ 已复制';
-        button.style.background = CONFIG.UI.COPY_SUCCESS_COLOR;
+        const lines = input.split('\n').map(line => line.trim()).filter(Boolean);
+        const markerMatches = lines.map(line => line.match(CONFIG.PATTERNS.DANBOORU_MARKERS)).filter(Boolean);
+        const markerLines = markerMatches.filter(match => !match[2]).length;
+        const inlineMarkerLines = markerMatches.length - markerLines;
         
-        setTimeout(() => {
-            button.textContent = originalText;
-            button.style.background = originalColor || CONFIG.UI.DEFAULT_BUTTON_COLOR;
-        }, CONFIG.UI.COPY_SUCCESS_DURATION);
+        if (markerMatches.length > 0) {
+            return 0.5 + 0.45 * Math.min(1, (markerLines * 2 + inlineMarkerLines) / lines.length);
+        }
+        
+        const headerLines = lines.filter(line => CONFIG.CATEGORY_ALIASES[line.toLowerCase()]).length;
+        const countedLines = lines.filter(line => CONFIG.PATTERNS.POST_COUNT.test(line)).length;
+        if (headerLines === 0 || countedLines === 0) return 0;
+        
+        return 0.5 + 0.4 * Math.min(1, (headerLines + countedLines) / lines.length);
     }
     
     /**
-     * 更新过滤器状态显示
-     * @param {Object} status - 过滤器状态
+     * e621置信度：多行输入，有分区标题，且出现e621独有的分区（Species/Lore等）或 – 标记
+     * 时高于Danbooru；其余情况交给Danbooru（两者结构相同）
+     * @param {string} input - 输入文本
+     * @returns {number}
      */
-    updateFilterStatus(status) {
-        if (this.elements.filterCount) {
-            this.elements.filterCount.textContent = status.keywordCount;
-        }
-        if (this.elements.filteredCount) {
-            this.elements.filteredCount.textContent = status.currentFilteredCount;
-        }
-        if (this.elements.simplifiedCount) {
-            this.elements.simplifiedCount.textContent = status.currentSimplifiedCount;
-        }
+    scoreE621(input) {
+        if (!input.includes('\n')) return 0;
         
-        // 更新各组的匹配徽章显示
-        this.updateGroupMatchBadges(status.groups, status.enabled);
+        const lines = input.split('\n').map(line => line.trim().toLowerCase()).filter(Boolean);
+        const sections = lines.filter(line => CONFIG.E621.SECTIONS[line]);
+        if (sections.length === 0) return 0;
+        
+        const hasExclusiveSection = sections.some(line => CONFIG.E621.EXCLUSIVE_SECTIONS.includes(line));
+        const hasDashMarker = lines.some(line => /^(?:[?+\-]\s+)*–(?:\s|$)/.test(line));
+        return hasExclusiveSection || hasDashMarker ? 0.97 : 0;
     }
     
     /**
-     * 更新所有组的匹配徽章显示
-     * @param {Array} groups - 组数据数组
-     * @param {boolean} masterEnabled - 主开关是否启用
+     * Sankaku置信度：多行输入，有类型标题，且出现Sankaku独有的类型（Medium/Genre/Studio）、
+     * 带日文翻译的计数行或"帖子数 关注数"双计数行
+     * @param {string} input - 输入文本
+     * @returns {number}
      */
-    updateGroupMatchBadges(groups, masterEnabled) {
-        groups.forEach(group => {
-            const groupElement = document.querySelector(`[data-group-id="${group.id}"]`);
-            if (!groupElement) return;
-            
-            const matchBadge = groupElement.querySelector('.group-match-badge');
-            if (!matchBadge) return;
-            
-            const count = group.meta?.currentMatchCount ?? 0;
-            if (masterEnabled && count > 0) {
-                matchBadge.textContent = `•${count}`;
-                matchBadge.classList.add('has-matches');
-            } else {
-                matchBadge.textContent = masterEnabled ? '•0' : '—';
-                matchBadge.classList.remove('has-matches');
-            }
+    scoreSankaku(input) {
+        if (!input.includes('\n')) return 0;
+        
+        const lines = input.split('\n').map(line => line.trim()).filter(Boolean);
+        const sections = lines.filter(line => CONFIG.SANKAKU.SECTIONS[line.toLowerCase()]);
+        if (sections.length === 0) return 0;
+        
+        const hasExclusiveSection = sections.some(line => CONFIG.SANKAKU.EXCLUSIVE_SECTIONS.includes(line.toLowerCase()));
+        const hasSankakuLine = lines.some(line => {
+            const counts = line.match(CONFIG.PATTERNS.SANKAKU_COUNTS);
+            return counts && (counts[2] || CONFIG.PATTERNS.CJK_TEXT.test(line.slice(0, counts.index)));
         });
+        return hasExclusiveSection || hasSankakuLine ? 0.97 : 0;
     }
     
     /**
-     * 更新简化开关的启用/禁用状态
-     * @param {boolean} mainFilterEnabled - 主过滤器是否启用
+     * Yande.re/Konachan置信度：多行的"? 标签 帖子数"行 + 类型标题
+     * - 出现Moebooru独有的类型（Circle/Faults/Style）时几乎确定
+     * - 否则看帖子数写法：Danbooru对千以上的计数使用 k/M 缩写，Moebooru始终是完整整数
+     * @param {string} input - 输入文本
+     * @returns {number}
      */
-    updateSimplifyToggleState(mainFilterEnabled) {
-        if (this.elements.simplifyToggle) {
-            if (mainFilterEnabled) {
+    scoreMoebooru(input) {
+        if (!input.includes('\n')) return 0;
+        
+        const lines = input.split('\n').map(line => line.trim()).filter(Boolean);
+        const sections = lines.filter(line => CONFIG.MOEBOORU.SECTIONS[line.toLowerCase()]);
+        const tagLines = lines.filter(line => /^\?\s+\S/.test(line));
+        if (sections.length === 0 || tagLines.length === 0) return 0;
+        
+        if (sections.some(line => CONFIG.MOEBOORU.EXCLUSIVE_SECTIONS.includes(line.toLowerCase()))) {
+            return 0.97;
+        }
+        
+        const counts = tagLines
+            .map(line => line.match(CONFIG.PATTERNS.POST_COUNT))
+            .filter(Boolean)
+            .map(match => match[1]);
+        const hasAbbreviatedCount = counts.some(count => /[kM]$/.test(count));
+        const hasLongExactCount = counts.some(count => /^\d{4,}$/.test(count));
+        return !hasAbbreviatedCount && hasLongExactCount ? 0.96 : 0;
+    }
+    
+    /**
+     * Gelbooru置信度：单行输入；含 Artist?/Tag? 等标识符时几乎确定，
+     * 否则按 ? 分隔后以帖子数结尾的段落占比计算（避免 "what?, 1girl" 被误判）
+     * @param {string} input - 输入文本
+     * @returns {number}
+     */
+    scoreGelbooru(input) {
+        if (input.includes('\n') || !input.includes('?')) return 0;
+        if (CONFIG.PATTERNS.GELBOORU_MARKERS.test(input)) return 0.9;
+        
+        const segments = input.split('?').map(segment => segment.trim()).filter(Boolean);
+        if (segments.length === 0) return 0;
+        
+        const counted = segments.filter(segment => /\s\d+(?:\.\d+)?[kM]?$/.test(segment)).length;
+        return 0.8 * counted / segments.length;
+    }
+    
+    /**
+     * 检查是否为ComfyUI图（API格式prompt或workflow JSON）
+     * @param {string} input - 输入文本
+     * @returns {boolean}
+     */
+    isComfyUIGraph(input) {
+        if (!input.startsWith('{')) return false;
+        
+        try {
+            const data = JSON.parse(input);
+            if (Array.isArray(data.nodes)) {
+                return data.nodes.some(node => node && typeof node.type === 'string');
+            }
+            return Object.values(data).some(node => node && typeof node.class_type === 'string');
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    /**
+     * 检查是否为Booru标签侧栏的HTML（Danbooru/Gelbooru/e621/Sankaku）
+     * @param {string} input - 输入文本或剪贴板HTML
+     * @returns {boolean}
+     */
+    isBooruTagListHtml(input) {
+        return input.trim().startsWith('<') && CONFIG.PATTERNS.BOORU_HTML_ITEM.test(input);
+    }
+    
+    /**
+     * 检查是否为Booru标签串（单行、无逗号、无?标记、词内使用下划线）
+     * @param {string} input - 输入文本
+     * @returns {boolean}
+     */
+    isBooruTagString(input) {
+        return !/[\n,?]/.test(input) && /\S_\S/.test(input);
+    }
+    
+    /**
+     * 检查是否为带tags参数的Booru搜索URL
+     * @param {string} input - 输入文本
+     * @returns {boolean}
+     */
+    isBooruSearchUrl(input) {
+        return /^https?:\/\/\S+[?&]tags=/i.test(input) && !/\s/.test(input);
+    }
+}
+
+// ====================================================================
+// 内容提取模块
+// ====================================================================
+
+class ContentExtractor {
+    constructor() {
+        // ComfyUI中用户手动选择的文本节点ID，null表示自动使用正向提示词
+        this.comfyUINodeId = null;
+    }
+    
+    /**
+     * 提取Danbooru格式内容
+     * 
+     * 兼容的复制布局：
+     * - 单独的 ? 行，下一行为 "标签 帖子数"
+     * - 标记与标签同行："? 1girl 1.2k"、"+ - ? 1girl 6.1M"（wiki/搜索标记）
+     * - 只有分类标题、没有 ? 标记：标题下每行一个标签
+     * 
+     * Artist / Copyright / Character / General / Meta 等标题行决定其后标签的分类
+     * 
+     * @param {string} input - Danbooru格式输入
+     * @returns {TagEntry[]} - 带分类的片段
+     */
+    extractDanbooru(input) {
+        return this.extractSidebarLines(input, CONFIG.CATEGORY_ALIASES, CONFIG.PATTERNS.DANBOORU_MARKERS);
+    }
+    
+    /**
+     * 提取e621/e926格式内容
+     * 
+     * 结构与Danbooru相同，分区为 Artists / Contributors / Copyrights / Characters /
+     * Species / General / Meta / Lore，排除标记为 –
+     * 
+     * @param {string} input - e621格式输入
+     * @returns {TagEntry[]} - 带分类的片段
+     */
+    extractE621(input) {
+        return this.extractSidebarLines(input, CONFIG.E621.SECTIONS, CONFIG.PATTERNS.E621_MARKERS);
+    }
+    
+    /**
+     * 提取Sankaku格式内容
+     * 
+     * 标签行形如 "long hair 長髪 5.4M 12k"：移除末尾的日文翻译，
+     * 两个计数中前者为帖子数、后者为关注数（不保留）
+     * 
+     * @param {string} input - Sankaku格式输入
+     * @returns {TagEntry[]} - 带分类的片段
+     */
+    extractSankaku(input) {
+        return this.extractSidebarLines(
+            input,
+            CONFIG.SANKAKU.SECTIONS,
+            CONFIG.PATTERNS.DANBOORU_MARKERS,
+            (line, category) => this.parseSankakuTagLine(line, category)
+        );
+    }
+    
+    /**
+     * 提取Yande.re/Konachan格式内容（"? 标签 帖子数"行 + 类型标题，与Danbooru同行标记布局一致）
+     * @param {string} input - Moebooru格式输入
+     * @returns {TagEntry[]} - 带分类的片段
+     */
+    extractMoebooru(input) {
+        return this.extractSidebarLines(input, CONFIG.MOEBOORU.SECTIONS, CONFIG.PATTERNS.DANBOORU_MARKERS);
+    }
+    
+    /**
+     * 按行提取侧栏复制内容（Danbooru/e621/Sankaku/Moebooru共用）
+     * @param {string} input - 侧栏复制文本
+     * @param {Object<string, string>} sections - 分区标题（小写）到分类的映射
+     * @param {RegExp} markerPattern - 行首标记模式，第1组为标记、第2组为其后的标签行
+     * @param {function(string, string|null): TagEntry} parseLine - 标签行解析函数
+     * @returns {TagEntry[]} - 带分类的片段
+     */
+    extractSidebarLines(input, sections, markerPattern, parseLine = (line, category) => this.parseSidebarTagLine(line, category)) {
+        const lines = input.split('\n').map(line => line.trim()).filter(Boolean);
+        const entries = [];
+        let category = null;
+        let inSection = false;      // 已出现分类标题，其后没有标记的行同样是标签
+        let pendingMarker = false;  // 上一行是单独的标记行，本行是标签
+        let lastEntry = null;       // 上一行产生的标签，帖子数可能单独占一行
+        
+        for (const line of lines) {
+            if (lastEntry && lastEntry.count === null && CONFIG.PATTERNS.STANDALONE_COUNT.test(line)) {
+                lastEntry.count = this.parseCount(line);
+                lastEntry = null;
+                continue;
+            }
+            lastEntry = null;
+            
+            if (sections[line.toLowerCase()]) {
+                category = sections[line.toLowerCase()];
+                inSection = true;
+                pendingMarker = false;
+                continue;
+            }
+            
+            if (CONFIG.DANBOORU_SECTION_END.some(heading => heading.toLowerCase() === line.toLowerCase())) {
+                category = null;
+                inSection = false;
+                pendingMarker = false;
+                continue;
+            }
+            
+            const markerMatch = line.match(markerPattern);
+            if (markerMatch && !markerMatch[2]) {
+                pendingMarker = true;
+                continue;
+            }
+            
+            if (markerMatch || pendingMarker || inSection) {
+                lastEntry = parseLine(markerMatch ? markerMatch[2] : line, category);
+                entries.push(lastEntry);
+            }
+            pendingMarker = false;
+        }
+        
+        return entries;
+    }
+    
+    /**
+     * 拆分Sankaku标签行中的标签名、日文翻译和计数
+     * @param {string} line - 标签行，如 "long hair 長髪 5.4M 12k"
+     * @param {string|null} category - 所属分类
+     * @returns {TagEntry}
+     */
+    parseSankakuTagLine(line, category) {
+        const countsMatch = line.match(CONFIG.PATTERNS.SANKAKU_COUNTS);
+        const name = countsMatch ? line.slice(0, countsMatch.index) : line;
+        
+        // 移除末尾的日文翻译；整个标签名都是日文时保留原样
+        const tokens = name.trim().split(/\s+/);
+        while (tokens.length > 1 && CONFIG.PATTERNS.CJK_TEXT.test(tokens[tokens.length - 1])) {
+            tokens.pop();
+        }
+        
+        return {
+            text: tokens.join(' '),
+            category,
+            count: countsMatch ? this.parseCount(countsMatch[1]) : null
+        };
+    }
+    
+    /**
+     * 拆分侧栏标签行（Danbooru/e621/Moebooru）中的标签名和帖子数
+     * @param {string} line - 去掉标记后的标签行，如 "1girl 6.1M"
+     * @param {string|null} category - 所属分类
+     * @returns {TagEntry}
+     */
+    parseSidebarTagLine(line, category) {
+        const countMatch = line.match(CONFIG.PATTERNS.POST_COUNT);
+        return {
+            text: countMatch ? line.slice(0, countMatch.index) : line,
+            category,
+            count: countMatch ? this.parseCount(countMatch[1]) : null
+        };
+    }
+    
+    /**
+     * 提取Booru标签侧栏HTML中的标签
+     * 
+     * 分类取自 <li> 的类名，标签名优先取 data-tag-name / data-name 属性，
+     * 帖子数优先取计数元素的 data-count / title 属性（精确值），不依赖文本推测
+     * 
+     * @param {string} input - 标签侧栏HTML
+     * @returns {TagEntry[]} - 带分类和帖子数的片段
+     */
+    extractBooruHtml(input) {
+        const doc = new DOMParser().parseFromString(input, 'text/html');
+        
+        return Array.from(doc.querySelectorAll('li'))
+            .filter(item => /\b(?:tag-type|category)-[\w-]+/.test(item.className))
+            .map(item => {
+                const text = this.getHtmlTagName(item);
+                return text
+                    ? { text, category: this.getHtmlCategory(item.className), count: this.getHtmlTagCount(item) }
+                    : null;
+            })
+            .filter(Boolean);
+    }
+    
+    /**
+     * 获取HTML列表项中的标签名
+     * @param {Element} item - <li> 元素
+     * @returns {string}
+     */
+    getHtmlTagName(item) {
+        const attributeName = item.getAttribute('data-tag-name') || item.getAttribute('data-name');
+        if (attributeName) {
+            return this.underscoresToSpaces(attributeName.trim());
+        }
+        
+        // 跳过 ?（wiki）/ + / -（搜索）链接，取标签名链接
+        const links = Array.from(item.querySelectorAll('a'))
+            .map(link => link.textContent.trim())
+            .filter(text => text && !/^[?+\-–]$/.test(text));
+        return links.length > 0 ? links[links.length - 1] : '';
+    }
+    
+    /**
+     * 获取HTML列表项中的帖子数
+     * @param {Element} item - <li> 元素
+     * @returns {number|null}
+     */
+    getHtmlTagCount(item) {
+        const spans = Array.from(item.querySelectorAll('span'));
+        const countEl = spans.find(span => /\b(?:post-count|tag-list-count|tag-count)\b/.test(span.className));
+        const candidates = countEl
+            ? [countEl.getAttribute('data-count'), countEl.getAttribute('title'), countEl.textContent]
+            : spans.map(span => span.textContent).reverse();
+        
+        const value = candidates
+            .map(candidate => (candidate || '').trim().replace(/,/g, ''))
+            .find(candidate => CONFIG.PATTERNS.STANDALONE_COUNT.test(candidate));
+        return value ? this.parseCount(value) : null;
+    }
+    
+    /**
+     * 将列表项类名映射为标签分类
+     * @param {string} className - <li> 的类名
+     * @returns {string|null}
+     */
+    getHtmlCategory(className) {
+        const token = className.split(/\s+/).find(name => CONFIG.HTML_TAG_CLASSES[name]);
+        return token ? CONFIG.HTML_TAG_CLASSES[token] : null;
+    }
+    
+    /**
+     * 提取Gelbooru格式内容
+     * @param {string} input - Gelbooru格式输入
+     * @returns {TagEntry[]} - 带分类的片段
+     */
+    extractGelbooru(input) {
+        return this.tokenizeGelbooru(input).map(token => ({
+            text: token.name,
+            category: token.category,
+            count: token.count
+        }));
+    }
+    
+    /**
+     * 按Gelbooru侧栏语法切分标签
+     * 
+     * 语法：[分类标识符]? 标签名 帖子数[分类标识符]? 标签名 帖子数...
+     * - 分类标识符作用于其后的标签，直到出现下一个标识符
+     * - 只有紧跟下一个 ? 标记（或结尾）的数字才是帖子数，
+     *   因此 "hololive 3rd gen"、"girls' frontline 2"、"00s" 及含 ? 的标签名保持完整
+     * 
+     * @param {string} input - Gelbooru格式输入
+     * @returns {Array<{name: string, category: string|null, count: number|null}>}
+     */
+    tokenizeGelbooru(input) {
+        // 首个标签前可能没有 ? 标记
+        const text = CONFIG.PATTERNS.GELBOORU_START.test(input) ? input : `? ${input}`;
+        const tokens = [];
+        let category = null;
+        let position = 0;
+        
+        while (position < text.length) {
+            const match = this.matchAt(CONFIG.PATTERNS.GELBOORU_TOKEN, text, position) ||
+                          this.matchAt(CONFIG.PATTERNS.GELBOORU_TOKEN_UNCOUNTED, text, position);
+            if (!match) break;
+            
+            if (match[1]) {
+                category = this.getCategory(match[1]);
+            }
+            tokens.push({
+                name: match[2].trim(),
+                category,
+                count: match[3] ? this.parseCount(match[3]) : null
+            });
+            position += match[0].length;
+        }
+        
+        return tokens;
+    }
+    
+    /**
+     * 在指定位置执行粘连（y标志）正则匹配
+     * @param {RegExp} pattern - 带 y 标志的正则
+     * @param {string} text - 文本
+     * @param {number} position - 起始位置
+     * @returns {RegExpExecArray|null}
+     */
+    matchAt(pattern, text, position) {
+        pattern.lastIndex = position;
+        return pattern.exec(text);
+    }
+    
+    /**
+     * 解析帖子数，支持 k/M 后缀
+     * @param {string} value - 帖子数文本，如 "6.1M" / "8032396"
+     * @returns {number}
+     */
+    parseCount(value) {
+        const suffix = value.slice(-1);
+        const multiplier = CONFIG.POST_COUNT.SUFFIX_MULTIPLIERS[suffix];
+        return multiplier
+            ? Math.round(parseFloat(value.slice(0, -1)) * multiplier)
+            : Math.round(parseFloat(value));
+    }
+    
+    /**
+     * 将分类标识符映射为标签分类
+     * @param {string} marker - 分类标识符，如 Artist / Characters / Metadata
+     * @returns {string|null} - CONFIG.TAG_CATEGORIES 中的值，不是标识符时返回null
+     */
+    getCategory(marker) {
+        return CONFIG.CATEGORY_ALIASES[marker.trim().toLowerCase()] || null;
+    }
+    
+    /**
+     * 提取Booru标签串内容
+     * 
+     * 空格分隔标签，标签内下划线转为空格（颜文字除外）；
+     * 搜索URL取tags参数，并忽略排除标签（-tag）和元标签（rating:g 等）
+     * 
+     * @param {string} input - Booru标签串或搜索URL
+     * @returns {TagEntry[]} - 标签片段；标签串不含帖子数，count 为null，避免 year_2020 的末尾数字被当作计数移除
+     */
+    extractBooruString(input) {
+        const isUrl = /^https?:\/\//i.test(input);
+        const tagString = isUrl ? this.getUrlTagsParam(input) : input;
+        
+        return tagString
+            .split(/\s+/)
+            .filter(token => token.length > 0)
+            .filter(token => !isUrl || !this.isSearchOperator(token))
+            .map(token => ({ text: this.underscoresToSpaces(token), category: null, count: null }));
+    }
+    
+    /**
+     * 读取搜索URL中的tags参数
+     * @param {string} url - 搜索URL
+     * @returns {string} - 空格分隔的标签串
+     */
+    getUrlTagsParam(url) {
+        try {
+            return new URL(url).searchParams.get('tags') || '';
+        } catch (error) {
+            const match = url.match(/[?&]tags=([^&#]*)/i);
+            return match ? decodeURIComponent(match[1].replace(/\+/g, ' ')) : '';
+        }
+    }
+    
+    /**
+     * 检查是否为搜索语法中的排除标签或元标签
+     * @param {string} token - 搜索词
+     * @returns {boolean}
+     */
+    isSearchOperator(token) {
+        if (token.startsWith('-') || token.startsWith('~')) {
+            return true;
+        }
+        
+        const prefix = token.split(':')[0].toLowerCase();
+        return token.includes(':') && CONFIG.BOORU.SEARCH_METATAGS.includes(prefix);
+    }
+    
+    /**
+     * 提取Danbooru/Gelbooru API响应中的标签
+     * 
+     * 支持单个帖子、帖子数组、Gelbooru的 {post: [...]} 包装以及XML响应。
+     * 有 tag_string_* 字段时按字段记录分类，否则使用不带分类的 tag_string / tags 字段，
+     * 多个帖子的标签依次合并（重复标签在清理阶段去除）
+     * 
+     * @param {string} input - API响应的JSON或XML文本
+     * @returns {TagEntry[]} - 带分类的片段（API不含每个标签的帖子数）
+     */
+    extractApiPosts(input) {
+        return this.getApiPosts(input).flatMap(post => this.getApiPostTags(post));
+    }
+    
+    /**
+     * 解析API响应中带标签字段的帖子
+     * @param {string} input - 输入文本
+     * @returns {Array<Object<string, *>>} - 帖子记录，非API响应时为空数组
+     */
+    getApiPosts(input) {
+        const text = input.trim();
+        
+        let posts = [];
+        if (text.startsWith('{') || text.startsWith('[')) {
+            posts = this.getApiPostsFromJson(text);
+        } else if (/^(?:<\?xml[^>]*\?>\s*)?<posts?\b/i.test(text)) {
+            posts = this.getApiPostsFromXml(text);
+        }
+        
+        return posts.filter(post => this.hasApiTagFields(post));
+    }
+    
+    /**
+     * 从JSON响应中取出帖子
+     * @param {string} text - JSON文本
+     * @returns {Array<Object<string, *>>}
+     */
+    getApiPostsFromJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return [];
+        }
+        
+        if (!data || typeof data !== 'object') return [];
+        
+        // Gelbooru: {"@attributes": {...}, "post": [...]}，只有一个帖子时 post 为对象
+        const posts = Array.isArray(data) ? data : (data.post || data.posts || data);
+        return [].concat(posts).filter(post => post && typeof post === 'object');
+    }
+    
+    /**
+     * 从XML响应中取出帖子
+     * 
+     * Gelbooru把字段放在 <post> 的属性上，Danbooru使用子元素（tag-string-general 等），两者都读取
+     * 
+     * @param {string} text - XML文本
+     * @returns {Array<Object<string, string>>}
+     */
+    getApiPostsFromXml(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.querySelector('parsererror')) return [];
+        
+        return Array.from(doc.querySelectorAll('post')).map(element => {
+            const post = {};
+            Array.from(element.attributes).forEach(attribute => {
+                post[attribute.name.replace(/-/g, '_')] = attribute.value;
+            });
+            Array.from(element.children).forEach(child => {
+                post[child.tagName.replace(/-/g, '_')] = child.textContent;
+            });
+            return post;
+        });
+    }
+    
+    /**
+     * 检查帖子是否含有标签字段
+     * @param {Object<string, *>} post - 帖子记录
+     * @returns {boolean}
+     */
+    hasApiTagFields(post) {
+        return [...Object.keys(CONFIG.API.TYPED_FIELDS), ...CONFIG.API.UNTYPED_FIELDS]
+            .some(field => typeof post[field] === 'string');
+    }
+    
+    /**
+     * 读取单个帖子的标签
+     * @param {Object<string, *>} post - 帖子记录
+     * @returns {TagEntry[]}
+     */
+    getApiPostTags(post) {
+        const typedFields = Object.entries(CONFIG.API.TYPED_FIELDS)
+            .filter(([field]) => typeof post[field] === 'string');
+        
+        if (typedFields.length > 0) {
+            return typedFields.flatMap(([field, category]) =>
+                this.splitApiTagString(post[field]).map(text => ({ text, category, count: null }))
+            );
+        }
+        
+        const field = CONFIG.API.UNTYPED_FIELDS.find(name => typeof post[name] === 'string');
+        return this.splitApiTagString(post[field]).map(text => ({ text, category: null, count: null }));
+    }
+    
+    /**
+     * 拆分空格分隔的标签字段
+     * @param {string} value - 标签字段，如 "long_hair hatsune_miku_(cosplay)"
+     * @returns {string[]}
+     */
+    splitApiTagString(value) {
+        return value
+            .split(/\s+/)
+            .filter(token => token.length > 0)
+            // Gelbooru的JSON对标签中的引号等字符做了HTML转义
+            .map(token => this.decodeHtmlEntities(token))
+            .map(token => this.underscoresToSpaces(token));
+    }
+    
+    /**
+     * 还原常见的HTML实体
+     * @param {string} text - 文本
+     * @returns {string}
+     */
+    decodeHtmlEntities(text) {
+        const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+        return text.replace(/&(?:#(\d+)|#x([\da-f]+)|(\w+));/gi, (match, decimal, hex, name) => {
+            if (decimal) return String.fromCharCode(parseInt(decimal, 10));
+            if (hex) return String.fromCharCode(parseInt(hex, 16));
+            return entities[name.toLowerCase()] ?? match;
+        });
+    }
+    
+    /**
+     * 下划线转空格，颜文字标签保持原样
+     * @param {string} tag - Booru标签
+     * @returns {string}
+     */
+    underscoresToSpaces(tag) {
+        return CONFIG.BOORU.KAOMOJI.includes(tag) ? tag : tag.replace(/_/g, ' ');
+    }
+    
+    /**
+     * 解析WebUI生成参数
+     * 
+     * 文本结构：
+     * 1. 正向提示词（可多行）
+     * 2. "Negative prompt:" 开头的负面提示词（可多行，可选）
+     * 3. "Steps:" 开头的设置行，逗号分隔的 key: value 对（可选）
+     * 
+     * @param {string} input - WebUI参数文本
+     * @returns {{positive: string, negative: string, settings: Array<{key: string, value: string}>}}
+     */
+    parseWebUIParameters(input) {
+        const lines = input.split('\n').map(line => line.trim());
+        
+        // 设置行取最后一个Steps行，之前的内容为提示词部分
+        let settingsIndex = -1;
+        for (let i = lines.length - 1; i >= 0; i--) {
+            if (CONFIG.PATTERNS.WEBUI_SETTINGS_LINE.test(lines[i])) {
+                settingsIndex = i;
+                break;
+            }
+        }
+        
+        const promptLines = settingsIndex === -1 ? lines : lines.slice(0, settingsIndex);
+        const negativeIndex = promptLines.findIndex(line => CONFIG.PATTERNS.WEBUI_NEGATIVE_PREFIX.test(line));
+        
+        const positiveLines = negativeIndex === -1 ? promptLines : promptLines.slice(0, negativeIndex);
+        const negativeLines = negativeIndex === -1 ? [] : promptLines.slice(negativeIndex);
+        if (negativeLines.length > 0) {
+            negativeLines[0] = negativeLines[0].replace(CONFIG.PATTERNS.WEBUI_NEGATIVE_PREFIX, '');
+        }
+        
+        return {
+            positive: this.joinPromptLines(positiveLines),
+            negative: this.joinPromptLines(negativeLines),
+            settings: settingsIndex === -1 ? [] : this.parseWebUISettings(lines[settingsIndex])
+        };
+    }
+    
+    /**
+     * 将多行提示词合并为逗号分隔文本（换行视为分隔符）
+     * @param {string[]} lines - 提示词行
+     * @returns {string}
+     */
+    joinPromptLines(lines) {
+        return lines
+            .map(line => line.replace(/,\s*$/, '').trim())
+            .filter(line => line.length > 0)
+            .join(', ');
+    }
+    
+    /**
+     * 解析WebUI设置行
+     * @param {string} line - 形如 "Steps: 20, Sampler: Euler a, CFG scale: 7" 的设置行
+     * @returns {Array<{key: string, value: string}>} - 按原顺序排列的设置项
+     */
+    parseWebUISettings(line) {
+        const settings = [];
+        
+        for (const match of line.matchAll(CONFIG.PATTERNS.WEBUI_SETTING_PAIR)) {
+            let value = match[2].trim();
+            
+            // 带引号的值（如Lora hashes）去掉外层引号
+            if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+                value = value.slice(1, -1).replace(/\\(.)/g, '$1');
+            }
+            
+            settings.push({ key: match[1].trim(), value });
+        }
+        
+        return settings;
+    }
+    
+    /**
+     * 选择ComfyUI文本节点
+     * @param {string|null} nodeId - 节点ID，null表示自动使用正向提示词
+     */
+    setComfyUINode(nodeId) {
+        this.comfyUINodeId = nodeId || null;
+    }
+    
+    /**
+     * 提取ComfyUI图中的提示词：优先用户选择的节点，否则为正向提示词
+     * @param {string} input - ComfyUI JSON
+     * @returns {string} - 逗号分隔的内容
+     */
+    extractComfyUI(input) {
+        const prompts = this.getComfyUIPrompts(input);
+        const selected = prompts.textNodes.find(node => node.id === this.comfyUINodeId);
+        const textNode = selected || prompts.positive || prompts.textNodes[0];
+        
+        return textNode ? this.joinPromptLines(textNode.text.split('\n')) : '';
+    }
+    
+    /**
+     * 分析ComfyUI图中的文本节点及其正负向角色
+     * 
+     * 从采样器（同时具有positive/negative/model输入的节点）出发，
+     * 沿条件输入回溯到文本编码节点；经过ControlNet等同样分正负向的节点时沿同名输入继续。
+     * 
+     * @param {string} input - ComfyUI JSON
+     * @returns {{positive: Object|null, negative: Object|null, sampler: Object|null, textNodes: Array<{id: string, type: string, title: string, text: string, role: string|null}>}}
+     */
+    getComfyUIPrompts(input) {
+        const graph = this.parseComfyUIGraph(input);
+        const nodes = [...graph.values()];
+        
+        const sampler = nodes.find(node => node.links.positive && node.links.negative && node.links.model) ||
+                        nodes.find(node => node.links.positive && node.links.negative) ||
+                        null;
+        
+        const textNodes = nodes
+            .filter(node => CONFIG.COMFYUI.TEXT_NODE_TYPE.test(node.type))
+            .map(node => ({ id: node.id, type: node.type, title: node.title, text: this.getComfyUINodeText(graph, node.id), role: null }))
+            .filter(node => node.text);
+        
+        const findRole = role => {
+            if (!sampler) return null;
+            const sourceId = this.traceComfyUIConditioning(graph, sampler.links[role], role, new Set());
+            const textNode = textNodes.find(node => node.id === sourceId) || null;
+            if (textNode && !textNode.role) textNode.role = role;
+            return textNode;
+        };
+        
+        return {
+            positive: findRole('positive'),
+            negative: findRole('negative'),
+            sampler,
+            textNodes
+        };
+    }
+    
+    /**
+     * 获取ComfyUI的负面提示词和采样设置（仅API格式具有命名的设置字段）
+     * @param {string} input - ComfyUI JSON
+     * @returns {{negative: string, settings: Array<{key: string, value: string}>}}
+     */
+    getComfyUIParameters(input) {
+        const prompts = this.getComfyUIPrompts(input);
+        const widgets = prompts.sampler?.widgets || {};
+        
+        return {
+            negative: prompts.negative ? this.joinPromptLines(prompts.negative.text.split('\n')) : '',
+            settings: CONFIG.COMFYUI.SETTING_FIELDS
+                .filter(field => widgets[field] !== undefined && typeof widgets[field] !== 'object')
+                .map(field => ({ key: field, value: String(widgets[field]) }))
+        };
+    }
+    
+    /**
+     * 将API格式或workflow格式统一为节点表
+     * @param {string} input - ComfyUI JSON
+     * @returns {Map<string, {id: string, type: string, title: string, widgets: Object, links: Object<string, string>}>}
+     */
+    parseComfyUIGraph(input) {
+        const data = JSON.parse(input);
+        const graph = new Map();
+        
+        if (Array.isArray(data.nodes)) {
+            // workflow格式：links为 [id, 源节点, 源槽, 目标节点, 目标槽, 类型] 或对象
+            const linkOrigins = new Map();
+            (data.links || []).forEach(link => {
+                if (Array.isArray(link)) {
+                    linkOrigins.set(link[0], String(link[1]));
+                } else if (link) {
+                    linkOrigins.set(link.id, String(link.origin_id));
+                }
+            });
+            
+            data.nodes.forEach(node => {
+                const links = {};
+                (node.inputs || []).forEach(nodeInput => {
+                    if (nodeInput.link !== null && nodeInput.link !== undefined && linkOrigins.has(nodeInput.link)) {
+                        links[nodeInput.name] = linkOrigins.get(nodeInput.link);
+                    }
+                });
+                
+                // widgets_values无字段名，仅对文本类节点取第一个非空字符串
+                const widgets = {};
+                if (CONFIG.COMFYUI.TEXT_SOURCE_TYPE.test(node.type || '') && Array.isArray(node.widgets_values)) {
+                    const text = node.widgets_values.find(value => typeof value === 'string' && value.trim());
+                    if (text !== undefined) widgets.text = text;
+                }
+                
+                graph.set(String(node.id), { id: String(node.id), type: node.type || '', title: node.title || '', widgets, links });
+            });
+        } else {
+            // API格式：输入值为 [源节点ID, 输出槽] 时表示连线
+            Object.entries(data).forEach(([id, node]) => {
+                if (!node || typeof node.class_type !== 'string') return;
+                
+                const widgets = {};
+                const links = {};
+                Object.entries(node.inputs || {}).forEach(([name, value]) => {
+                    if (Array.isArray(value) && value.length === 2 && Number.isInteger(value[1])) {
+                        links[name] = String(value[0]);
+                    } else {
+                        widgets[name] = value;
+                    }
+                });
+                
+                graph.set(id, { id, type: node.class_type, title: node._meta?.title || '', widgets, links });
+            });
+        }
+        
+        return graph;
+    }
+    
+    /**
+     * 获取节点文本；文本输入连接到其他节点（如Primitive）时读取源节点
+     * @param {Map} graph - 节点表
+     * @param {string} nodeId - 节点ID
+     * @param {Set<string>} visited - 已访问节点，防止循环
+     * @returns {string}
+     */
+    getComfyUINodeText(graph, nodeId, visited = new Set()) {
+        const node = graph.get(nodeId);
+        if (!node || visited.has(nodeId)) return '';
+        visited.add(nodeId);
+        
+        for (const field of CONFIG.COMFYUI.TEXT_FIELDS) {
+            if (node.links[field]) {
+                const linkedText = this.getComfyUINodeText(graph, node.links[field], visited);
+                if (linkedText) return linkedText;
+            }
+            if (typeof node.widgets[field] === 'string' && node.widgets[field].trim()) {
+                return node.widgets[field];
+            }
+        }
+        
+        return '';
+    }
+    
+    /**
+     * 沿条件输入回溯到文本编码节点
+     * @param {Map} graph - 节点表
+     * @param {string} nodeId - 当前节点ID
+     * @param {string} role - positive / negative
+     * @param {Set<string>} visited - 已访问节点，防止循环
+     * @returns {string|null} - 文本编码节点ID
+     */
+    traceComfyUIConditioning(graph, nodeId, role, visited) {
+        const node = graph.get(nodeId);
+        if (!node || visited.has(nodeId)) return null;
+        visited.add(nodeId);
+        
+        if (CONFIG.COMFYUI.TEXT_NODE_TYPE.test(node.type) && this.getComfyUINodeText(graph, nodeId)) {
+            return nodeId;
+        }
+        
+        // 分正负向的中间节点（如ControlNetApplyAdvanced）沿同名输入继续
+        if (node.links.positive && node.links.negative) {
+            return this.traceComfyUIConditioning(graph, node.links[role], role, visited);
+        }
+        
+        for (const [name, sourceId] of Object.entries(node.links)) {
+            if (CONFIG.COMFYUI.NON_CONDITIONING_INPUTS.includes(name)) continue;
+            const found = this.traceComfyUIConditioning(graph, sourceId, role, visited);
+            if (found) return found;
+        }
+        
+        return null;
+    }
+}
+
+// ====================================================================
+// 内容清理模块
+// ====================================================================
+
+class ContentCleaner {
+    /**
+     * 清理和标准化内容
+     * @param {string|TagEntry[]} rawContent - 原始文本内容，或带分类的片段
+     * @returns {Tag[]} - 清理后的标签数组
+     */
+    clean(rawContent) {
+        if (!rawContent || rawContent.length === 0) return [];
+        
+        const entries = typeof rawContent === 'string'
+            ? [{ text: rawContent, category: null }]
+            : rawContent;
+        
+        // 按逗号分割（保持跨逗号的权重组完整）并清理每个片段
+        const dialect = WeightSyntax.detectDialect(entries.map(entry => entry.text).join(', '));
+        const cleanedTags = [];
+        
+        for (const entry of entries) {
+            for (const segment of WeightSyntax.splitSegments(entry.text)) {
+                cleanedTags.push(...this.cleanSegment(segment, dialect, entry.category, entry.count));
+            }
+        }
+        
+        return this.removeDuplicates(cleanedTags);
+    }
+    
+    /**
+     * 清理单个片段，权重组如 (a, b:1.2) 会展开为多个标签
+     * @param {string} segment - 逗号分割后的片段
+     * @param {string} dialect - 输入的权重方言
+     * @param {string|null} category - 片段所属的标签分类
+     * @param {number|null|undefined} count - 片段的帖子数；undefined表示来源未处理计数，需移除末尾数字
+     * @returns {Tag[]} - 清理后的标签数组
+     */
+    cleanSegment(segment, dialect = CONFIG.WEIGHT.DIALECTS.A1111, category = null, count = undefined) {
+        const trimmed = segment.trim();
+        if (!trimmed || this.isPureCategoryWord(trimmed)) {
+            return [];
+        }
+        
+        return WeightSyntax.parse(trimmed, dialect)
+            .map(part => {
+                const name = this.cleanSingleTag(part.text, count === undefined);
+                return name ? createTag(name, part.weight, part.syntax, part.escaped, category, count ?? null) : null;
+            })
+            .filter(Boolean);
+    }
+    
+    /**
+     * 清理单个tag
+     * @param {string} tag - 单个tag
+     * @param {boolean} removeTrailingCount - 是否移除末尾的数字（提取器已分离帖子数时不再移除）
+     * @returns {string|null} - 清理后的tag或null
+     */
+    cleanSingleTag(tag, removeTrailingCount = true) {
+        if (!tag) return null;
+        
+        // 跳过纯分类标识符
+        if (this.isPureCategoryWord(tag)) {
+            return null;
+        }
+        
+        // 移除末尾的数字权重
+        let cleaned = removeTrailingCount ? tag.replace(CONFIG.PATTERNS.WEIGHT_REMOVAL, '').trim() : tag.trim();
+        
+        // 标准化空格
+        cleaned = cleaned.replace(CONFIG.PATTERNS.NORMALIZE_SPACES, ' ').trim();
+        
+        // 验证有效性
+        return (cleaned && cleaned.length > 0) ? cleaned : null;
+    }
+    
+    /**
+     * 检查是否为纯分类标识符
+     * @param {string} tag - 待检查的tag
+     * @returns {boolean} - 是否为分类标识符
+     */
+    isPureCategoryWord(tag) {
+        return CONFIG.CATEGORY_MARKERS.some(
+            word => word.toLowerCase() === tag.toLowerCase()
+        );
+    }
+    
+    /**
+     * 移除重复的tag（按裸标签名比较，保留首次出现的权重）
+     * @param {Tag[]} tags - 标签数组
+     * @returns {Tag[]} - 去重后的标签数组
+     */
+    removeDuplicates(tags) {
+        const seen = new Set();
+        return tags.filter(tag => {
+            const lowerName = tag.name.toLowerCase();
+            if (seen.has(lowerName)) {
+                return false;
+            }
+            seen.add(lowerName);
+            return true;
+        });
+    }
+}
+
+// ====================================================================
+// 帖子数过滤模块
+// ====================================================================
+
+/**
+ * PostCountFilter - 基于帖子数的过滤和排序
+ * 
+ * - 最少帖子数：移除低于阈值的标签（罕见或拼写错误的标签）
+ * - 热度排序：按帖子数从高到低排列
+ * 
+ * 没有帖子数的标签（非Booru来源、替换短语插入的标签）不会被过滤，排序时保持原顺序排在最后
+ */
+class PostCountFilter {
+    constructor() {
+        this.minCount = CONFIG.POST_COUNT.DEFAULT_MIN_COUNT;
+        this.sortByCount = CONFIG.POST_COUNT.DEFAULT_SORT_BY_COUNT;
+        
+        this.loadSettings();
+    }
+    
+    /**
+     * 加载帖子数设置
+     */
+    loadSettings() {
+        try {
+            const saved = localStorage.getItem(CONFIG.POST_COUNT.STORAGE_KEY);
+            if (saved) {
+                const settings = JSON.parse(saved);
+                this.minCount = this._isValidMinCount(settings.minCount)
+                    ? settings.minCount
+                    : CONFIG.POST_COUNT.DEFAULT_MIN_COUNT;
+                this.sortByCount = settings.sortByCount ?? CONFIG.POST_COUNT.DEFAULT_SORT_BY_COUNT;
+            }
+        } catch (error) {
+            console.warn('无法加载帖子数设置:', error);
+        }
+    }
+    
+    /**
+     * 保存帖子数设置
+     */
+    saveSettings() {
+        try {
+            const settings = {
+                minCount: this.minCount,
+                sortByCount: this.sortByCount
+            };
+            localStorage.setItem(CONFIG.POST_COUNT.STORAGE_KEY, JSON.stringify(settings));
+        } catch (error) {
+            console.warn('无法保存帖子数设置:', error);
+        }
+    }
+    
+    /**
+     * 设置最少帖子数
+     * @param {number} minCount - 阈值，0 表示不过滤
+     */
+    setMinCount(minCount) {
+        const value = Number(minCount);
+        if (!this._isValidMinCount(value)) return;
+        this.minCount = value;
+        this.saveSettings();
+    }
+    
+    /**
+     * 设置是否按热度排序
+     * @param {boolean} enabled - 是否启用
+     */
+    setSortByCount(enabled) {
+        this.sortByCount = !!enabled;
+        this.saveSettings();
+    }
+    
+    /**
+     * 获取帖子数设置状态
+     * @returns {Object} 状态信息
+     */
+    getStatus() {
+        return {
+            minCount: this.minCount,
+            sortByCount: this.sortByCount
+        };
+    }
+    
+    /**
+     * 移除帖子数低于阈值的标签
+     * @param {Tag[]} tags - 标签数组
+     * @returns {Tag[]}
+     */
+    applyMinCount(tags) {
+        if (this.minCount <= 0) {
+            return tags;
+        }
+        return tags.filter(tag => tag.count === null || tag.count >= this.minCount);
+    }
+    
+    /**
+     * 按帖子数从高到低排序（稳定排序，无帖子数的标签排在最后）
+     * @param {Tag[]} tags - 标签数组
+     * @returns {Tag[]}
+     */
+    sort(tags) {
+        if (!this.sortByCount) {
+            return tags;
+        }
+        return [...tags].sort((a, b) => (b.count ?? -1) - (a.count ?? -1));
+    }
+    
+    /**
+     * 校验最少帖子数
+     * @param {number} minCount - 阈值
+     * @returns {boolean}
+     */
+    _isValidMinCount(minCount) {
+        return Number.isInteger(minCount) && minCount >= 0;
+    }
+}
+
+// ====================================================================
+// 批量处理模块
+// ====================================================================
+
+/**
+ * 批量模式中的单个帖子
+ * @typedef {Object} BatchPost
+ * @property {string} name - 帖子名称（来源文件名或 post_001），用作下载的文件名
+ * @property {string} text - 帖子原始内容
+ */
+
+/**
+ * BatchProcessor - 批量模式的设置和输入拆分
+ * 
+ * - 粘贴内容按空行或自定义分隔符拆分为多个帖子
+ * - 拖入多个文件时每个文件是一个帖子，文件名保留用于下载
+ */
+class BatchProcessor {
+    constructor() {
+        this.enabled = CONFIG.BATCH.DEFAULT_ENABLED;
+        this.separator = CONFIG.BATCH.DEFAULT_SEPARATOR;
+        
+        // 最近拖入的文件：输入框内容未被修改时按文件拆分
+        this.sources = null;
+        this.sourceText = '';
+        
+        this.loadSettings();
+    }
+    
+    /**
+     * 加载批量模式设置
+     */
+    loadSettings() {
+        try {
+            const saved = localStorage.getItem(CONFIG.BATCH.STORAGE_KEY);
+            if (saved) {
+                const settings = JSON.parse(saved);
+                this.enabled = settings.enabled ?? CONFIG.BATCH.DEFAULT_ENABLED;
+                this.separator = typeof settings.separator === 'string'
+                    ? settings.separator
+                    : CONFIG.BATCH.DEFAULT_SEPARATOR;
+            }
+        } catch (error) {
+            console.warn('无法加载批量模式设置:', error);
+        }
+    }
+    
+    /**
+     * 保存批量模式设置
+     */
+    saveSettings() {
+        try {
+            const settings = {
+                enabled: this.enabled,
+                separator: this.separator
+            };
+            localStorage.setItem(CONFIG.BATCH.STORAGE_KEY, JSON.stringify(settings));
+        } catch (error) {
+            console.warn('无法保存批量模式设置:', error);
+        }
+    }
+    
+    /**
+     * 设置是否启用批量模式
+     * @param {boolean} enabled - 是否启用
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        this.saveSettings();
+    }
+    
+    /**
+     * 设置帖子分隔符
+     * @param {string} separator - 分隔符，空字符串表示按空行分割
+     */
+    setSeparator(separator) {
+        this.separator = String(separator || '').trim();
+        this.saveSettings();
+    }
+    
+    /**
+     * 获取批量模式设置状态
+     * @returns {Object} 状态信息
+     */
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            separator: this.separator
+        };
+    }
+    
+    /**
+     * 记录拖入的文件，返回写入输入框的合并文本
+     * @param {BatchPost[]} sources - 每个文件的名称和内容
+     * @returns {string}
+     */
+    setSources(sources) {
+        const joiner = this.separator ? `\n${this.separator}\n` : '\n\n';
+        this.sources = sources;
+        this.sourceText = sources.map(source => source.text).join(joiner);
+        return this.sourceText;
+    }
+    
+    /**
+     * 清除记录的文件
+     */
+    clearSources() {
+        this.sources = null;
+        this.sourceText = '';
+    }
+    
+    /**
+     * 将输入拆分为帖子
+     * @param {string} input - 输入文本
+     * @returns {BatchPost[]}
+     */
+    split(input) {
+        if (this.sources && input.trim() === this.sourceText.trim()) {
+            return this.sources;
+        }
+        this.clearSources();
+        
+        const parts = this.separator
+            ? input.split(this.separator)
+            : input.split(CONFIG.BATCH.BLANK_LINES);
+        const texts = parts.map(part => part.trim()).filter(Boolean);
+        const digits = Math.max(3, String(texts.length).length);
+        
+        return texts.map((text, index) => ({
+            name: CONFIG.BATCH.POST_NAME_PREFIX + String(index + 1).padStart(digits, '0'),
+            text
+        }));
+    }
+}
+
+// ====================================================================
+// 标签统计模块
+// ====================================================================
+
+/**
+ * 单个标签的统计
+ * @typedef {Object} TagStat
+ * @property {string} name - 标签名（首次出现的写法）
+ * @property {string|null} category - 标签分类
+ * @property {number} count - 出现在多少个帖子中（过滤前）
+ * @property {number} kept - 过滤后仍保留的帖子数
+ */
+
+/**
+ * 单个过滤组的统计
+ * @typedef {Object} GroupStat
+ * @property {string} id - 组ID
+ * @property {string} name - 组名
+ * @property {number} matches - 累计命中的标签数
+ * @property {number} posts - 有命中的帖子数
+ */
+
+/**
+ * TagStatistics - 多个帖子/caption的标签频率统计
+ * 
+ * 按裸标签名累计每个标签出现的帖子数和过滤后保留的帖子数，
+ * 同时累计每个过滤组的命中数，用于找出高频标签、只出现一次的标签和最常生效的过滤组
+ */
+class TagStatistics {
+    constructor() {
+        this.reset();
+    }
+    
+    /**
+     * 清空统计
+     */
+    reset() {
+        /** @type {Map<string, TagStat>} */
+        this.tags = new Map();
+        /** @type {Map<string, GroupStat>} */
+        this.groups = new Map();
+        this.postCount = 0;
+        this.simplifiedCount = 0;
+    }
+    
+    /**
+     * 累计一个帖子的结果，应在该帖子过滤完成后立即调用（组命中数取自本次过滤）
+     * @param {Tag[]} cleanedTags - 过滤前的标签（已去重）
+     * @param {Tag[]} filteredTags - 过滤后的标签
+     * @param {GroupedFilterManager} filterManager - 过滤器
+     */
+    addPost(cleanedTags, filteredTags, filterManager) {
+        this.postCount++;
+        
+        const keptNames = new Set(filteredTags.map(tag => tag.name.toLowerCase()));
+        cleanedTags.forEach(tag => {
+            const key = tag.name.toLowerCase();
+            const stat = this.tags.get(key) || { name: tag.name, category: tag.category, count: 0, kept: 0 };
+            stat.count++;
+            if (keptNames.has(key)) stat.kept++;
+            stat.category = stat.category || tag.category;
+            this.tags.set(key, stat);
+        });
+        
+        // 总开关关闭时过滤器不运行，组命中数不是本次的结果
+        if (!filterManager.masterEnabled) return;
+        
+        filterManager.groups.forEach(group => {
+            const stat = this.groups.get(group.id) || { id: group.id, name: group.name, matches: 0, posts: 0 };
+            stat.name = group.name;
+            stat.matches += group.meta.currentMatchCount;
+            if (group.meta.currentMatchCount > 0) stat.posts++;
+            this.groups.set(group.id, stat);
+        });
+        this.simplifiedCount += filterManager.lastSimplifiedCount;
+    }
+    
+    /**
+     * 查询标签统计
+     * @param {Object} options - 查询条件
+     * @param {string} [options.query] - 按标签名搜索（不区分大小写）
+     * @param {string} [options.sort] - 排序方式（CONFIG.STATISTICS.SORTS）
+     * @param {boolean} [options.onlyOnce] - 只看只出现一次的标签
+     * @returns {TagStat[]}
+     */
+    getTags({ query = '', sort = CONFIG.STATISTICS.DEFAULT_SORT, onlyOnce = false } = {}) {
+        const needle = query.trim().toLowerCase();
+        const stats = Array.from(this.tags.values())
+            .filter(stat => !needle || stat.name.toLowerCase().includes(needle))
+            .filter(stat => !onlyOnce || stat.count === 1);
+        
+        const byName = (a, b) => a.name.localeCompare(b.name);
+        const comparators = {
+            [CONFIG.STATISTICS.SORTS.COUNT_DESC]: (a, b) => b.count - a.count || byName(a, b),
+            [CONFIG.STATISTICS.SORTS.COUNT_ASC]: (a, b) => a.count - b.count || byName(a, b),
+            [CONFIG.STATISTICS.SORTS.REMOVED_DESC]: (a, b) => (b.count - b.kept) - (a.count - a.kept) || byName(a, b),
+            [CONFIG.STATISTICS.SORTS.NAME]: byName
+        };
+        return stats.sort(comparators[sort] || comparators[CONFIG.STATISTICS.DEFAULT_SORT]);
+    }
+    
+    /**
+     * 获取过滤组统计，按命中数从高到低
+     * @returns {GroupStat[]}
+     */
+    getGroups() {
+        return Array.from(this.groups.values()).sort((a, b) => b.matches - a.matches);
+    }
+    
+    /**
+     * 导出CSV（带BOM，便于表格软件识别UTF-8）
+     * @param {TagStat[]} stats - 要导出的标签统计
+     * @returns {string}
+     */
+    toCsv(stats) {
+        const quote = value => {
+            const text = String(value ?? '');
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = stats.map(stat => [stat.name, stat.category || '', stat.count, stat.kept].map(quote).join(','));
+        return '\uFEFF' + ['tag,category,count,kept', ...rows].join('\n');
+    }
+}
+
+// ====================================================================
+// 训练辅助模块
+// ====================================================================
+
+/**
+ * 训练辅助设置
+ * @typedef {Object} TrainingSettings
+ * @property {boolean} enabled - 是否启用
+ * @property {string} triggerWords - 触发词，逗号分隔
+ * @property {string[]} pinnedTags - 固定在前面的标签（按此顺序）
+ * @property {boolean} shuffle - 是否打乱其余标签
+ * @property {number} seed - 打乱使用的随机种子
+ */
+
+/**
+ * TrainingFormatter - kohya风格训练caption的后处理
+ * 
+ * 在自定义过滤之后：
+ * 1. 在最前面加入触发词（已存在的同名标签移到这里）
+ * 2. 按列表顺序把固定标签（如 1girl）移到触发词之后
+ * 3. 可选：用种子打乱其余标签，相同输入和种子的结果始终相同
+ * 
+ * 触发词和固定标签的数量即训练时 keep_tokens 应设置的值
+ */
+class TrainingFormatter {
+    constructor() {
+        this.enabled = CONFIG.TRAINING.DEFAULT_ENABLED;
+        this.triggerWords = CONFIG.TRAINING.DEFAULT_TRIGGER_WORDS;
+        this.pinnedTags = [...CONFIG.TRAINING.DEFAULT_PINNED_TAGS];
+        this.shuffle = CONFIG.TRAINING.DEFAULT_SHUFFLE;
+        this.seed = CONFIG.TRAINING.DEFAULT_SEED;
+        
+        this.loadSettings();
+    }
+    
+    /**
+     * 加载训练辅助设置
+     */
+    loadSettings() {
+        try {
+            const saved = localStorage.getItem(CONFIG.TRAINING.STORAGE_KEY);
+            if (saved) {
+                this.importSettings(JSON.parse(saved));
+            }
+        } catch (error) {
+            console.warn('无法加载训练辅助设置:', error);
+        }
+    }
+    
+    /**
+     * 保存训练辅助设置
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem(CONFIG.TRAINING.STORAGE_KEY, JSON.stringify(this.getSettings()));
+        } catch (error) {
+            console.warn('无法保存训练辅助设置:', error);
+        }
+    }
+    
+    /**
+     * 获取设置（随过滤器配置一起导出）
+     * @returns {TrainingSettings}
+     */
+    getSettings() {
+        return {
+            enabled: this.enabled,
+            triggerWords: this.triggerWords,
+            pinnedTags: [...this.pinnedTags],
+            shuffle: this.shuffle,
+            seed: this.seed
+        };
+    }
+    
+    /**
+     * 应用导入的设置，缺少的字段保持不变
+     * @param {Partial<TrainingSettings>} settings - 设置
+     * @returns {boolean} - 设置是否有效
+     */
+    importSettings(settings) {
+        if (!this.isValidSettings(settings)) {
+            return false;
+        }
+        
+        this.enabled = settings.enabled ?? this.enabled;
+        this.triggerWords = settings.triggerWords ?? this.triggerWords;
+        this.pinnedTags = settings.pinnedTags ? [...settings.pinnedTags] : this.pinnedTags;
+        this.shuffle = settings.shuffle ?? this.shuffle;
+        this.seed = settings.seed ?? this.seed;
+        return true;
+    }
+    
+    /**
+     * 设置是否启用
+     * @param {boolean} enabled - 是否启用
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        this.saveSettings();
+    }
+    
+    /**
+     * 设置触发词
+     * @param {string} triggerWords - 逗号分隔的触发词
+     */
+    setTriggerWords(triggerWords) {
+        this.triggerWords = String(triggerWords || '').trim();
+        this.saveSettings();
+    }
+    
+    /**
+     * 设置固定标签
+     * @param {string} pinnedTags - 逗号分隔的标签
+     */
+    setPinnedTags(pinnedTags) {
+        this.pinnedTags = this._parseList(String(pinnedTags || ''));
+        this.saveSettings();
+    }
+    
+    /**
+     * 设置是否打乱其余标签
+     * @param {boolean} enabled - 是否打乱
+     */
+    setShuffle(enabled) {
+        this.shuffle = !!enabled;
+        this.saveSettings();
+    }
+    
+    /**
+     * 设置随机种子
+     * @param {number} seed - 非负整数
+     */
+    setSeed(seed) {
+        const value = Number(seed);
+        if (!Number.isInteger(value) || value < 0) return;
+        this.seed = value;
+        this.saveSettings();
+    }
+    
+    /**
+     * 获取训练辅助状态
+     * @returns {TrainingSettings}
+     */
+    getStatus() {
+        return this.getSettings();
+    }
+    
+    /**
+     * 应用训练辅助
+     * @param {Tag[]} tags - 过滤后的标签
+     * @returns {{tags: Tag[], keepTokens: number}} - 处理后的标签和 keep_tokens 范围内的标签数
+     */
+    apply(tags) {
+        if (!this.enabled) {
+            return { tags, keepTokens: 0 };
+        }
+        
+        const triggers = this._parseList(this.triggerWords).flatMap(word => WeightSyntax.toTags(word));
+        const triggerNames = new Set(triggers.map(tag => tag.name.toLowerCase()));
+        const rest = tags.filter(tag => !triggerNames.has(tag.name.toLowerCase()));
+        
+        const pinned = [];
+        this.pinnedTags.forEach(name => {
+            const index = rest.findIndex(tag => tag.name.toLowerCase() === name.toLowerCase());
+            if (index !== -1) {
+                pinned.push(...rest.splice(index, 1));
+            }
+        });
+        
+        const head = [...triggers, ...pinned];
+        return {
+            tags: [...head, ...(this.shuffle ? this._shuffle(rest) : rest)],
+            keepTokens: head.length
+        };
+    }
+    
+    /**
+     * 校验设置
+     * @param {*} settings - 设置
+     * @returns {boolean}
+     */
+    isValidSettings(settings) {
+        if (!settings || typeof settings !== 'object') return false;
+        
+        return (settings.enabled === undefined || typeof settings.enabled === 'boolean') &&
+            (settings.triggerWords === undefined || typeof settings.triggerWords === 'string') &&
+            (settings.pinnedTags === undefined ||
+                (Array.isArray(settings.pinnedTags) && settings.pinnedTags.every(tag => typeof tag === 'string'))) &&
+            (settings.shuffle === undefined || typeof settings.shuffle === 'boolean') &&
+            (settings.seed === undefined || (Number.isInteger(settings.seed) && settings.seed >= 0));
+    }
+    
+    /**
+     * 拆分逗号分隔的列表
+     * @param {string} text - 文本
+     * @returns {string[]}
+     */
+    _parseList(text) {
+        return text.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    
+    /**
+     * 用种子打乱标签（Fisher-Yates）；种子与标签内容一起决定顺序，不同caption的打乱结果不同
+     * @param {Tag[]} tags - 标签
+     * @returns {Tag[]}
+     */
+    _shuffle(tags) {
+        const result = [...tags];
+        const random = this._createRandom(this.seed ^ this._hashString(tags.map(tag => tag.name).join(',')));
+        
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+    
+    /**
+     * 创建可复现的伪随机数生成器（mulberry32）
+     * @param {number} seed - 种子
+     * @returns {function(): number} - 返回 [0, 1) 的随机数
+     */
+    _createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+    
+    /**
+     * 字符串哈希（FNV-1a）
+     * @param {string} text - 文本
+     * @returns {number}
+     */
+    _hashString(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
+
+// ====================================================================
+// 权重语法模块
+// ====================================================================
+
+/**
+ * WeightSyntax - 强调权重语法的解析与序列化
+ * 
+ * 支持写法：
+ * - (tag:1.2)  数值权重（A1111）
+ * - ((tag))    每层括号 ×1.1（A1111）
+ * - [tag]      每层方括号 ÷1.1（A1111）/ ÷1.05（NovelAI）
+ * - {tag}      每层花括号 ×1.05（NovelAI）
+ * - 1.2::tag:: 数值权重（NovelAI v4）
+ * - \(tag\)    转义括号，属于标签名的一部分
+ * - (a, b:1.2) 跨逗号的权重组，权重作用于组内每个标签
+ */
+const WeightSyntax = {
+    /**
+     * 判断输入文本使用的权重方言，决定 [tag] 的倍率
+     * @param {string} text - 输入文本
+     * @returns {string} - CONFIG.WEIGHT.DIALECTS 中的值
+     */
+    detectDialect(text) {
+        const dialects = CONFIG.WEIGHT.DIALECTS;
+        if (/(^|[^\\])[{}]/.test(text) || CONFIG.PATTERNS.NAI_NUMERIC_START.test(text)) {
+            return dialects.NOVELAI;
+        }
+        return dialects.A1111;
+    },
+    
+    /**
+     * 按逗号分割文本，以括号开头且跨逗号的权重组保持为一个片段
+     * 
+     * 只有片段以括号开头时才尝试合并，避免 :( 这类表情标签误触发；
+     * 括号直到文本末尾都未闭合时放弃合并，按普通逗号分割处理。
+     * 
+     * @param {string} text - 逗号分隔文本
+     * @returns {string[]} - 片段数组
+     */
+    splitSegments(text) {
+        const parts = text.split(',');
+        const segments = [];
+        
+        for (let i = 0; i < parts.length; i++) {
+            // NovelAI v4 数值权重组：合并到闭合的 :: 为止，未闭合则作用到末尾
+            if (/^\s*-?\d+(?:\.\d+)?::/.test(parts[i]) && !/::[\s\S]*::/.test(parts[i])) {
+                let j = i + 1;
+                while (j < parts.length && !parts[j].includes('::')) j++;
+                const end = Math.min(j, parts.length - 1);
+                segments.push(parts.slice(i, end + 1).join(','));
+                i = end;
+                continue;
+            }
+            
+            const depth = this.bracketDepth(parts[i]);
+            
+            if (!/^\s*[(\[{]/.test(parts[i]) || depth <= 0) {
+                segments.push(parts[i]);
+                continue;
+            }
+            
+            // 向后合并直到括号闭合
+            let merged = parts[i];
+            let currentDepth = depth;
+            let j = i + 1;
+            while (j < parts.length && currentDepth > 0) {
+                merged += ',' + parts[j];
+                currentDepth += this.bracketDepth(parts[j]);
+                j++;
+            }
+            
+            if (currentDepth === 0) {
+                segments.push(merged);
+                i = j - 1;
+            } else {
+                segments.push(parts[i]);
+            }
+        }
+        
+        return segments;
+    },
+    
+    /**
+     * 计算文本中未闭合的括号层数（忽略转义括号）
+     * @param {string} text - 文本
+     * @returns {number} - 开括号数减闭括号数
+     */
+    bracketDepth(text) {
+        let depth = 0;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (ch === '\\') {
+                i++;
+            } else if (ch === '(' || ch === '[' || ch === '{') {
+                depth++;
+            } else if (ch === ')' || ch === ']' || ch === '}') {
+                depth--;
+            }
+        }
+        return depth;
+    },
+    
+    /**
+     * 检查文本是否被一对匹配的括号完整包裹
+     * @param {string} text - 文本
+     * @param {string} open - 开括号
+     * @param {string} close - 闭括号
+     * @returns {boolean}
+     */
+    isWrapped(text, open, close) {
+        if (text.length < 2 || !text.startsWith(open) || !text.endsWith(close)) {
+            return false;
+        }
+        
+        let depth = 0;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (ch === '\\') {
+                i++;
+            } else if (ch === open) {
+                depth++;
+            } else if (ch === close) {
+                depth--;
+                if (depth === 0) {
+                    return i === text.length - 1;
+                }
+            }
+        }
+        
+        return false;
+    },
+    
+    /**
+     * 逐层剥离外层权重语法
+     * @param {string} text - 单个片段
+     * @param {string} dialect - 输入的权重方言
+     * @returns {{inner: string, weight: number, syntax: string}}
+     */
+    unwrap(text, dialect = CONFIG.WEIGHT.DIALECTS.A1111) {
+        const isNovelAI = dialect !== CONFIG.WEIGHT.DIALECTS.A1111;
+        let inner = text.trim();
+        let weight = 1;
+        let syntax = 'plain';
+        
+        while (true) {
+            const naiNumericMatch = inner.match(/^(-?\d+(?:\.\d+)?)::([\s\S]*?)(?:::)?$/);
+            if (naiNumericMatch && naiNumericMatch[2].trim()) {
+                inner = naiNumericMatch[2].trim();
+                weight *= parseFloat(naiNumericMatch[1]);
+                syntax = 'numeric';
+            } else if (this.isWrapped(inner, '{', '}')) {
+                inner = inner.slice(1, -1).trim();
+                weight *= CONFIG.WEIGHT.BRACE_MULTIPLIER;
+                if (syntax === 'plain') syntax = 'brace';
+            } else if (isNovelAI && this.isWrapped(inner, '[', ']')) {
+                inner = inner.slice(1, -1).trim();
+                weight /= CONFIG.WEIGHT.BRACE_MULTIPLIER;
+                if (syntax === 'plain') syntax = 'brace';
+            } else if (this.isWrapped(inner, '(', ')')) {
+                inner = inner.slice(1, -1).trim();
+                const numericMatch = inner.match(/^([\s\S]*):\s*(-?\d+(?:\.\d+)?)$/);
+                if (numericMatch) {
+                    inner = numericMatch[1].trim();
+                    weight *= parseFloat(numericMatch[2]);
+                    syntax = 'numeric';
+                } else {
+                    weight *= CONFIG.WEIGHT.PAREN_MULTIPLIER;
+                    if (syntax === 'plain') syntax = 'nested';
+                }
+            } else if (this.isWrapped(inner, '[', ']')) {
+                inner = inner.slice(1, -1).trim();
+                weight /= CONFIG.WEIGHT.PAREN_MULTIPLIER;
+                if (syntax === 'plain') syntax = 'nested';
+            } else {
+                break;
+            }
+        }
+        
+        return { inner, weight, syntax };
+    },
+    
+    /**
+     * 解析单个片段为裸文本和权重
+     * @param {string} segment - 单个片段
+     * @param {string} dialect - 输入的权重方言
+     * @returns {Array<{text: string, weight: number, syntax: string, escaped: boolean}>}
+     */
+    parse(segment, dialect = CONFIG.WEIGHT.DIALECTS.A1111) {
+        const { inner, weight, syntax } = this.unwrap(segment, dialect);
+        
+        // 权重组内仍有逗号时展开，组权重乘到每个成员上
+        if (syntax !== 'plain' && inner.includes(',')) {
+            return this.splitSegments(inner).flatMap(part =>
+                this.parse(part, dialect).map(item => ({
+                    ...item,
+                    weight: item.weight * weight,
+                    syntax: item.syntax === 'numeric' ? 'numeric' : syntax
+                }))
+            );
+        }
+        
+        return [{
+            text: this.unescape(inner),
+            weight,
+            syntax,
+            escaped: /\\[()\[\]]/.test(inner)
+        }];
+    },
+    
+    /**
+     * 将带权重语法的文本直接转换为标签对象（不做计数清理）
+     * @param {string} text - 文本，如 "(smile:1.2)"
+     * @returns {Tag[]}
+     */
+    toTags(text) {
+        return this.parse(text, this.detectDialect(text))
+            .filter(part => part.text.trim())
+            .map(part => createTag(part.text.trim(), part.weight, part.syntax, part.escaped));
+    },
+    
+    /**
+     * 还原转义括号
+     * @param {string} text - 文本
+     * @returns {string}
+     */
+    unescape(text) {
+        return text.replace(/\\([()\[\]])/g, '$1');
+    },
+    
+    /**
+     * 转义括号，使标签名可安全放入权重语法中
+     * @param {string} text - 文本
+     * @returns {string}
+     */
+    escape(text) {
+        return text.replace(/([()\[\]])/g, '\\$1');
+    },
+    
+    /**
+     * 按精度格式化数值权重
+     * @param {number} weight - 权重
+     * @param {number} precision - 小数位数
+     * @returns {string}
+     */
+    formatNumber(weight, precision = CONFIG.WEIGHT.PRECISION) {
+        return String(Number(weight.toFixed(precision)));
+    },
+    
+    /**
+     * 计算权重对应的括号层数
+     * @param {number} weight - 权重
+     * @param {number} multiplier - 每层倍率
+     * @param {boolean} exact - 为true时权重必须恰为倍率的整数次幂，否则返回null
+     * @returns {number|null} - 正数为加强层数，负数为减弱层数
+     */
+    bracketLevel(weight, multiplier, exact = false) {
+        if (weight <= 0) return null;
+        
+        const level = Math.round(Math.log(weight) / Math.log(multiplier));
+        if (exact && Math.abs(Math.pow(multiplier, level) - weight) > 1e-6) {
+            return null;
+        }
+        return level;
+    },
+    
+    /**
+     * 输出A1111数值写法 (tag:1.2)
+     * @param {Tag} tag - 标签
+     * @param {number} precision - 小数位数
+     * @returns {string}
+     */
+    toNumeric(tag, precision) {
+        return `(${this.escape(tag.name)}:${this.formatNumber(tag.weight, precision)})`;
+    },
+    
+    /**
+     * 输出A1111括号嵌套写法 ((tag)) / [tag]，权重不是 1.1 的整数次幂时退回数值写法
+     * @param {Tag} tag - 标签
+     * @param {number} precision - 退回数值写法时的小数位数
+     * @returns {string}
+     */
+    toNested(tag, precision) {
+        const level = this.bracketLevel(tag.weight, CONFIG.WEIGHT.PAREN_MULTIPLIER, true);
+        if (!level) {
+            return this.toNumeric(tag, precision);
+        }
+        
+        const [open, close] = level > 0 ? ['(', ')'] : ['[', ']'];
+        const depth = Math.abs(level);
+        return open.repeat(depth) + this.escape(tag.name) + close.repeat(depth);
+    },
+    
+    /**
+     * 输出NovelAI花括号写法 {{tag}} / [tag]，按 1.05 倍率取最接近的层数
+     * @param {Tag} tag - 标签
+     * @returns {string}
+     */
+    toBraces(tag) {
+        const level = this.bracketLevel(tag.weight, CONFIG.WEIGHT.BRACE_MULTIPLIER);
+        if (!level) {
+            return tag.name;
+        }
+        
+        const [open, close] = level > 0 ? ['{', '}'] : ['[', ']'];
+        const depth = Math.abs(level);
+        return open.repeat(depth) + tag.name + close.repeat(depth);
+    },
+    
+    /**
+     * 输出NovelAI v4数值写法 1.2::tag::
+     * @param {Tag} tag - 标签
+     * @param {number} precision - 小数位数
+     * @returns {string}
+     */
+    toNovelAINumeric(tag, precision) {
+        return `${this.formatNumber(tag.weight, precision)}::${tag.name}::`;
+    },
+    
+    /**
+     * 输出无权重的标签名，原文转义过的括号保持转义
+     * @param {Tag} tag - 标签
+     * @returns {string}
+     */
+    toPlain(tag) {
+        return tag.escaped ? this.escape(tag.name) : tag.name;
+    }
+};
+
+// ====================================================================
+// 输出格式化模块
+// ====================================================================
+
+/**
+ * OutputFormatter - 输出格式化管理类
+ * 
+ * 功能说明：
+ * - 将过滤后的标签对象序列化为输出文本
+ * - 权重模式：保留原写法 / 统一为数值写法 / 移除权重
+ * - 输出方言：A1111 (tag:1.1) / NovelAI {tag} / NovelAI v4 1.2::tag:: / Booru 空格分隔
+ * - 设置持久化存储到localStorage
+ * 
+ * 执行位置：分组过滤之后，过滤规则始终基于裸标签名
+ */
+class OutputFormatter {
+    constructor() {
+        this.weightMode = CONFIG.OUTPUT.DEFAULT_WEIGHT_MODE;
+        this.dialect = CONFIG.OUTPUT.DEFAULT_DIALECT;
+        this.precision = CONFIG.WEIGHT.PRECISION;
+        this.view = CONFIG.OUTPUT.DEFAULT_VIEW;
+        
+        this.loadSettings();
+    }
+    
+    /**
+     * 加载输出设置
+     */
+    loadSettings() {
+        try {
+            const saved = localStorage.getItem(CONFIG.OUTPUT.STORAGE_KEY);
+            if (saved) {
+                const settings = JSON.parse(saved);
+                this.weightMode = this._isValidWeightMode(settings.weightMode)
+                    ? settings.weightMode
+                    : CONFIG.OUTPUT.DEFAULT_WEIGHT_MODE;
+                this.dialect = this._isValidDialect(settings.dialect)
+                    ? settings.dialect
+                    : CONFIG.OUTPUT.DEFAULT_DIALECT;
+                this.precision = this._isValidPrecision(settings.precision)
+                    ? settings.precision
+                    : CONFIG.WEIGHT.PRECISION;
+                this.view = this._isValidView(settings.view)
+                    ? settings.view
+                    : CONFIG.OUTPUT.DEFAULT_VIEW;
+            }
+        } catch (error) {
+            console.warn('无法加载输出设置:', error);
+        }
+    }
+    
+    /**
+     * 保存输出设置
+     */
+    saveSettings() {
+        try {
+            const settings = {
+                weightMode: this.weightMode,
+                dialect: this.dialect,
+                precision: this.precision,
+                view: this.view
+            };
+            localStorage.setItem(CONFIG.OUTPUT.STORAGE_KEY, JSON.stringify(settings));
+        } catch (error) {
+            console.warn('无法保存输出设置:', error);
+        }
+    }
+    
+    /**
+     * 设置权重模式
+     * @param {string} mode - CONFIG.OUTPUT.WEIGHT_MODES 中的值
+     */
+    setWeightMode(mode) {
+        if (!this._isValidWeightMode(mode)) return;
+        this.weightMode = mode;
+        this.saveSettings();
+    }
+    
+    /**
+     * 设置输出方言
+     * @param {string} dialect - CONFIG.WEIGHT.DIALECTS 中的值
+     */
+    setDialect(dialect) {
+        if (!this._isValidDialect(dialect)) return;
+        this.dialect = dialect;
+        this.saveSettings();
+    }
+    
+    /**
+     * 设置数值权重精度
+     * @param {number} precision - 小数位数
+     */
+    setPrecision(precision) {
+        const value = Number(precision);
+        if (!this._isValidPrecision(value)) return;
+        this.precision = value;
+        this.saveSettings();
+    }
+    
+    /**
+     * 设置输出视图
+     * @param {string} view - CONFIG.OUTPUT.VIEWS 中的值
+     */
+    setView(view) {
+        if (!this._isValidView(view)) return;
+        this.view = view;
+        this.saveSettings();
+    }
+    
+    /**
+     * 获取输出设置状态
+     * @returns {Object} 状态信息
+     */
+    getStatus() {
+        return {
+            weightMode: this.weightMode,
+            dialect: this.dialect,
+            precision: this.precision,
+            view: this.view
+        };
+    }
+    
+    /**
+     * 序列化标签数组
+     * @param {Tag[]} tags - 标签数组
+     * @returns {string[]} - 输出文本数组
+     */
+    format(tags) {
+        return tags.map(tag => this.formatTag(tag));
+    }
+    
+    /**
+     * 按标签分类分组序列化，按 CONFIG.CATEGORY_DISPLAY 顺序排列，未分类标签在最后
+     * @param {Tag[]} tags - 标签数组
+     * @returns {Array<{category: string|null, name: string, tags: string[]}>} - 仅包含非空分组
+     */
+    formatByCategory(tags) {
+        const groups = [
+            ...CONFIG.CATEGORY_DISPLAY.map(item => ({ category: item.id, name: item.name, tags: [] })),
+            { category: null, name: CONFIG.UNCATEGORIZED_NAME, tags: [] }
+        ];
+        
+        tags.forEach(tag => {
+            const group = groups.find(item => item.category === tag.category) || groups[groups.length - 1];
+            group.tags.push(this.formatTag(tag));
+        });
+        
+        return groups.filter(group => group.tags.length > 0);
+    }
+    
+    /**
+     * 序列化单个标签
+     * @param {Tag} tag - 标签
+     * @returns {string}
+     */
+    formatTag(tag) {
+        const modes = CONFIG.OUTPUT.WEIGHT_MODES;
+        const dialects = CONFIG.WEIGHT.DIALECTS;
+        const unweighted = this.weightMode === modes.STRIP || tag.weight === 1;
+        const keepNested = this.weightMode === modes.KEEP;
+        
+        switch (this.dialect) {
+            case dialects.BOORU:
+                return this.toBooruTag(tag.name);
+            case dialects.NOVELAI:
+                return unweighted ? tag.name : WeightSyntax.toBraces(tag);
+            case dialects.NOVELAI_V4:
+                if (unweighted) return tag.name;
+                // 原为花括号写法且恰好是整数层时保留花括号
+                if (keepNested && tag.syntax === 'brace' &&
+                    WeightSyntax.bracketLevel(tag.weight, CONFIG.WEIGHT.BRACE_MULTIPLIER, true)) {
+                    return WeightSyntax.toBraces(tag);
+                }
+                return WeightSyntax.toNovelAINumeric(tag, this.precision);
+            case dialects.A1111:
+            default:
+                if (unweighted) return WeightSyntax.toPlain(tag);
+                if (keepNested && tag.syntax === 'nested') {
+                    return WeightSyntax.toNested(tag, this.precision);
+                }
+                return WeightSyntax.toNumeric(tag, this.precision);
+        }
+    }
+    
+    /**
+     * 获取输出标签之间的分隔符
+     * @returns {string}
+     */
+    getSeparator() {
+        return this.dialect === CONFIG.WEIGHT.DIALECTS.BOORU ? ' ' : ', ';
+    }
+    
+    /**
+     * 空格转下划线，颜文字标签保持原样
+     * @param {string} name - 裸标签名
+     * @returns {string}
+     */
+    toBooruTag(name) {
+        return CONFIG.BOORU.KAOMOJI.includes(name) ? name : name.replace(/ /g, '_');
+    }
+    
+    /**
+     * 校验输出视图
+     * @param {string} view - 视图
+     * @returns {boolean}
+     */
+    _isValidView(view) {
+        return Object.values(CONFIG.OUTPUT.VIEWS).includes(view);
+    }
+    
+    /**
+     * 校验权重模式
+     * @param {string} mode - 模式
+     * @returns {boolean}
+     */
+    _isValidWeightMode(mode) {
+        return Object.values(CONFIG.OUTPUT.WEIGHT_MODES).includes(mode);
+    }
+    
+    /**
+     * 校验输出方言
+     * @param {string} dialect - 方言
+     * @returns {boolean}
+     */
+    _isValidDialect(dialect) {
+        return Object.values(CONFIG.WEIGHT.DIALECTS).includes(dialect);
+    }
+    
+    /**
+     * 校验精度
+     * @param {number} precision - 小数位数
+     * @returns {boolean}
+     */
+    _isValidPrecision(precision) {
+        return Number.isInteger(precision) && precision >= 0 && precision <= CONFIG.WEIGHT.MAX_PRECISION;
+    }
+}
+
+// ====================================================================
+// 用户界面管理模块
+// ====================================================================
+
+class UIManager {
+    constructor() {
+        this.elements = {
+            input: document.getElementById('input'),
+            output: document.getElementById('output'),
+            formatStatus: document.getElementById('format-status'),
+            filterEnabled: document.getElementById('filter-enabled'),
+            filterKeywords: document.getElementById('filter-keywords'),
+            filterCount: document.getElementById('filter-count'),
+            filteredCount: document.getElementById('filtered-count'),
+            filterExpand: document.getElementById('filter-expand'),
+            filterContent: document.getElementById('filter-content'),
+            // 提示词简化功能的UI元素
+            simplifyEnabled: document.getElementById('simplify-enabled'),
+            simplifyToggle: document.getElementById('simplify-toggle'),
+            simplifiedCount: document.getElementById('simplified-count'),
+            // WebUI参数信息的UI元素
+            parametersInfo: document.getElementById('parameters-info'),
+            parametersNegative: document.getElementById('parameters-negative'),
+            parametersSettings: document.getElementById('parameters-settings'),
+            // ComfyUI节点选择的UI元素
+            comfyUINodes: document.getElementById('comfyui-nodes'),
+            comfyUINodeSelect: document.getElementById('comfyui-node-select'),
+            // 批量模式的UI元素
+            batchActions: document.getElementById('batch-actions'),
+            // 训练辅助的UI元素
+            trainingPreview: document.getElementById('training-preview')
+        };
+        
+        // 当前输出的完整文本（分类视图下输出区域含标题，复制时使用此文本）
+        this.outputText = '';
+    }
+    
+    /**
+     * 更新格式状态显示
+     * @param {{handler: FormatHandler, score: number, runnerUp: Object|null, forced: boolean}} detection - 格式检测结果
+     * @param {number} tagCount - tag数量
+     * @param {number} lowCountRemoved - 因帖子数过低移除的数量
+     * @param {string|null} warning - 提取警告，存在时以警告样式显示
+     */
+    updateFormatStatus(detection, tagCount, lowCountRemoved = 0, warning = null) {
+        const statusEl = this.elements.formatStatus;
+        if (!statusEl) return;
+        
+        const percent = score => `${Math.round(score * 100)}%`;
+        const formatText = detection.forced
+            ? `指定格式: ${detection.handler.name}`
+            : `检测格式: ${detection.handler.name} (${percent(detection.score)})` +
+              (detection.runnerUp ? `，次选: ${detection.runnerUp.handler.name} (${percent(detection.runnerUp.score)})` : '');
+        
+        statusEl.textContent = `${formatText}，提取Tags: ${tagCount}个` +
+            (lowCountRemoved > 0 ? `，低频移除: ${lowCountRemoved}个` : '') +
+            (warning ? ` ⚠️ ${warning}` : '');
+        statusEl.className = warning ? 'status-indicator warning' : 'status-indicator detected';
+        statusEl.style.display = 'inline-block';
+    }
+    
+    /**
+     * 更新批量模式的格式状态：帖子数、标签总数和各格式的帖子数
+     * @param {Array<{name: string, format: string|null, tags: string[]}>} results - 批量结果
+     */
+    updateBatchStatus(results) {
+        const statusEl = this.elements.formatStatus;
+        if (!statusEl) return;
+        
+        const formatCounts = new Map();
+        results.forEach(result => {
+            const format = result.format || '未知';
+            formatCounts.set(format, (formatCounts.get(format) || 0) + 1);
+        });
+        const formats = Array.from(formatCounts, ([format, count]) => `${format} ×${count}`).join('，');
+        const tagCount = results.reduce((sum, result) => sum + result.tags.length, 0);
+        const emptyCount = results.filter(result => result.tags.length === 0).length;
+        
+        statusEl.textContent = `批量模式: ${results.length}个帖子（${formats}），提取Tags: ${tagCount}个` +
+            (emptyCount > 0 ? ` ⚠️ ${emptyCount}个帖子未提取到标签` : '');
+        statusEl.className = emptyCount > 0 ? 'status-indicator warning' : 'status-indicator detected';
+        statusEl.style.display = results.length > 0 ? 'inline-block' : 'none';
+    }
+    
+    /**
+     * 更新训练辅助的 keep_tokens 预览
+     * @param {string[]|null} tags - 处理后的tag数组，null时隐藏预览
+     * @param {number} keepTokens - keep_tokens 范围内的标签数
+     */
+    updateTrainingPreview(tags, keepTokens) {
+        const previewEl = this.elements.trainingPreview;
+        if (!previewEl) return;
+        
+        if (!tags || tags.length === 0) {
+            previewEl.style.display = 'none';
+            return;
+        }
+        
+        const kept = tags.slice(0, keepTokens);
+        previewEl.textContent = `keep_tokens = ${keepTokens}` +
+            (kept.length > 0 ? `：${kept.join(', ')}` : '') +
+            ` ｜ 其余 ${tags.length - keepTokens} 个标签`;
+        previewEl.style.display = 'block';
+    }
+    
+    /**
+     * 更新WebUI参数信息显示（负面提示词和生成设置）
+     * @param {{negative: string, settings: Array<{key: string, value: string}>}|null} parameters - 解析结果，null时隐藏
+     */
+    updateParametersInfo(parameters) {
+        const infoEl = this.elements.parametersInfo;
+        if (!infoEl) return;
+        
+        if (!parameters || (!parameters.negative && parameters.settings.length === 0)) {
+            infoEl.style.display = 'none';
+            return;
+        }
+        
+        if (this.elements.parametersNegative) {
+            this.elements.parametersNegative.textContent = parameters.negative || '（无）';
+        }
+        
+        const settingsEl = this.elements.parametersSettings;
+        if (settingsEl) {
+            settingsEl.innerHTML = '';
+            parameters.settings.forEach(({ key, value }) => {
+                const item = document.createElement('span');
+                item.className = 'parameter-item';
+                item.textContent = `${key}: ${value}`;
+                settingsEl.appendChild(item);
+            });
+        }
+        
+        infoEl.style.display = 'block';
+    }
+    
+    /**
+     * 更新ComfyUI文本节点选择框
+     * @param {{textNodes: Array}|null} prompts - ComfyUI分析结果，null时隐藏
+     * @param {string|null} selectedId - 当前选择的节点ID
+     */
+    updateComfyUINodes(prompts, selectedId) {
+        const containerEl = this.elements.comfyUINodes;
+        const selectEl = this.elements.comfyUINodeSelect;
+        if (!containerEl || !selectEl) return;
+        
+        if (!prompts || prompts.textNodes.length === 0) {
+            containerEl.style.display = 'none';
+            return;
+        }
+        
+        const roleNames = { positive: '正向', negative: '负向' };
+        selectEl.innerHTML = '';
+        
+        const autoOption = document.createElement('option');
+        autoOption.value = '';
+        autoOption.textContent = '自动（正向提示词）';
+        selectEl.appendChild(autoOption);
+        
+        prompts.textNodes.forEach(node => {
+            const option = document.createElement('option');
+            const role = node.role ? `[${roleNames[node.role]}] ` : '';
+            const preview = node.text.length > 40 ? `${node.text.slice(0, 40)}…` : node.text;
+            option.value = node.id;
+            option.textContent = `#${node.id} ${role}${node.title || node.type}: ${preview}`;
+            selectEl.appendChild(option);
+        });
+        
+        selectEl.value = prompts.textNodes.some(node => node.id === selectedId) ? selectedId : '';
+        containerEl.style.display = 'flex';
+    }
+    
+    /**
+     * 显示错误信息
+     * @param {string} message - 错误信息
+     */
+    showError(message) {
+        const outputEl = this.elements.output;
+        if (outputEl) {
+            outputEl.textContent = `⚠️ ${message}`;
+            outputEl.className = '';
+        }
+    }
+    
+    /**
+     * 更新输出内容
+     * @param {string[]} tags - tag数组
+     * @param {string} separator - 标签分隔符
+     * @param {Array<{category: string|null, name: string, tags: string[]}>|null} groups - 按分类分组的结果，null时平铺显示
+     */
+    updateOutput(tags, separator = ', ', groups = null) {
+        this.outputText = tags.join(separator);
+        
+        if (this.elements.batchActions) {
+            this.elements.batchActions.style.display = 'none';
+        }
+        
+        const outputEl = this.elements.output;
+        if (!outputEl) return;
+        
+        if (tags.length === 0) {
+            outputEl.textContent = '等待输入内容进行转换...';
+            outputEl.className = '';
+        } else if (groups) {
+            outputEl.innerHTML = '';
+            groups.forEach(group => outputEl.appendChild(this.createCategoryGroupElement(group, separator)));
+            outputEl.className = 'has-content grouped';
+        } else {
+            outputEl.textContent = this.outputText;
+            outputEl.className = 'has-content';
+        }
+    }
+    
+    /**
+     * 更新批量模式的输出：每个帖子一组，可单独复制；完整文本为每行一个帖子
+     * @param {Array<{name: string, format: string|null, tags: string[]}>} results - 批量结果
+     * @param {string} separator - 标签分隔符
+     */
+    updateBatchOutput(results, separator = ', ') {
+        if (this.elements.batchActions) {
+            this.elements.batchActions.style.display = results.length > 0 ? 'flex' : 'none';
+        }
+        
+        if (results.length === 0) {
+            this.updateOutput([]);
+            return;
+        }
+        
+        this.outputText = results.map(result => result.tags.join(separator)).join('\n');
+        
+        const outputEl = this.elements.output;
+        if (!outputEl) return;
+        
+        outputEl.innerHTML = '';
+        results.forEach(result => {
+            outputEl.appendChild(this.createCategoryGroupElement({
+                category: null,
+                name: result.format ? `${result.name} · ${result.format}` : result.name,
+                tags: result.tags
+            }, separator));
+        });
+        outputEl.className = 'has-content grouped';
+    }
+    
+    /**
+     * 创建单个分类分组（或批量模式下单个帖子）的DOM元素
+     * @param {{category: string|null, name: string, tags: string[]}} group - 分组
+     * @param {string} separator - 标签分隔符
+     * @returns {HTMLElement}
+     */
+    createCategoryGroupElement(group, separator) {
+        const groupEl = document.createElement('div');
+        groupEl.className = 'category-group';
+        groupEl.dataset.category = group.category || '';
+        
+        const headerEl = document.createElement('div');
+        headerEl.className = 'category-header';
+        
+        const nameEl = document.createElement('span');
+        nameEl.className = 'category-name';
+        nameEl.textContent = `${group.name} (${group.tags.length})`;
+        
+        const copyBtn = document.createElement('button');
+        copyBtn.className = 'category-copy-btn';
+        copyBtn.textContent = '📋 复制';
+        copyBtn.title = `复制${group.name}标签`;
+        copyBtn.setAttribute('onclick', 'copyCategoryOutput(this)');
+        
+        const tagsEl = document.createElement('div');
+        tagsEl.className = 'category-tags';
+        tagsEl.textContent = group.tags.join(separator);
+        
+        headerEl.appendChild(nameEl);
+        headerEl.appendChild(copyBtn);
+        groupEl.appendChild(headerEl);
+        groupEl.appendChild(tagsEl);
+        return groupEl;
+    }
+    
+    /**
+     * 显示复制成功反馈
+     * @param {HTMLElement} button - 复制按钮元素
+     */
+    showCopySuccess(button) {
+        const originalText = button.textContent;
+        const originalColor = button.style.background;
+        
+        button.textContent = '✅ 已复制';
+        button.style.background = CONFIG.UI.COPY_SUCCESS_COLOR;
+        
+        setTimeout(() => {
+            button.textContent = originalText;
+            button.style.background = originalColor || CONFIG.UI.DEFAULT_BUTTON_COLOR;
+        }, CONFIG.UI.COPY_SUCCESS_DURATION);
+    }
+    
+    /**
+     * 更新过滤器状态显示
+     * @param {Object} status - 过滤器状态
+     */
+    updateFilterStatus(status) {
+        if (this.elements.filterCount) {
+            this.elements.filterCount.textContent = status.keywordCount;
+        }
+        if (this.elements.filteredCount) {
+            this.elements.filteredCount.textContent = status.currentFilteredCount;
+        }
+        if (this.elements.simplifiedCount) {
+            this.elements.simplifiedCount.textContent = status.currentSimplifiedCount;
+        }
+        
+        // 更新各组的匹配徽章显示
+        this.updateGroupMatchBadges(status.groups, status.enabled);
+        
+        // 输入变化后刷新改写预览的示例
+        status.groups
+            .filter(group => group.action === CONFIG.FILTER.GROUP_ACTIONS.REWRITE)
+            .forEach(group => {
+                const input = document.querySelector(`[data-group-id="${group.id}"] .rewrite-input`);
+                if (input) validateRewriteInput(input);
+            });
+    }
+    
+    /**
+     * 更新所有组的匹配徽章显示
+     * @param {Array} groups - 组数据数组
+     * @param {boolean} masterEnabled - 主开关是否启用
+     */
+    updateGroupMatchBadges(groups, masterEnabled) {
+        groups.forEach(group => {
+            const groupElement = document.querySelector(`[data-group-id="${group.id}"]`);
+            if (!groupElement) return;
+            
+            const matchBadge = groupElement.querySelector('.group-match-badge');
+            if (!matchBadge) return;
+            
+            // 条件不满足而跳过的组单独标示
+            const skipped = masterEnabled && group.meta?.skipped;
+            groupElement.classList.toggle('group-skipped', !!skipped);
+            if (skipped) {
+                matchBadge.textContent = '跳过';
+                matchBadge.title = '执行条件不满足，本次未执行';
+                matchBadge.classList.remove('has-matches');
+                return;
+            }
+            matchBadge.title = '';
+            
+            const count = group.meta?.currentMatchCount ?? 0;
+            if (masterEnabled && count > 0) {
+                matchBadge.textContent = `•${count}`;
+                matchBadge.classList.add('has-matches');
+            } else {
+                matchBadge.textContent = masterEnabled ? '•0' : '—';
+                matchBadge.classList.remove('has-matches');
+            }
+        });
+    }
+    
+    /**
+     * 更新简化开关的启用/禁用状态
+     * @param {boolean} mainFilterEnabled - 主过滤器是否启用
+     */
+    updateSimplifyToggleState(mainFilterEnabled) {
+        if (this.elements.simplifyToggle) {
+            if (mainFilterEnabled) {
                 this.elements.simplifyToggle.classList.remove('disabled');
             } else {
                 this.elements.simplifyToggle.classList.add('disabled');
@@ -1755,10 +5264,14 @@ function convert() {
         if (statusEl) {
             statusEl.style.display = 'none';
         }
+        tagConverter.uiManager.updateParametersInfo(null);
+        tagConverter.uiManager.updateComfyUINodes(null);
+        tagConverter.uiManager.updateTrainingPreview(null, 0);
         
         // 重置所有组的命中计数和总体统计
         tagConverter.filterManager.groups.forEach(group => {
             group.meta.currentMatchCount = 0;
+            group.meta.skipped = false;
         });
         tagConverter.filterManager.lastTotalFilteredCount = 0;
         tagConverter.filterManager.lastSimplifiedCount = 0;
@@ -1769,8 +5282,22 @@ function convert() {
         return;
     }
     
+    // 批量模式：按帖子分别转换，参数信息和节点选择只对单个输入有意义
+    if (tagConverter.batchProcessor.enabled) {
+        const results = tagConverter.convertBatch(tagConverter.batchProcessor.split(input));
+        tagConverter.uiManager.updateParametersInfo(null);
+        tagConverter.uiManager.updateComfyUINodes(null);
+        tagConverter.uiManager.updateBatchOutput(results, tagConverter.outputFormatter.getSeparator());
+        StatisticsView.render();
+        return;
+    }
+    
     const tags = tagConverter.convert(input);
-    tagConverter.uiManager.updateOutput(tags);
+    tagConverter.uiManager.updateOutput(
+        tags,
+        tagConverter.outputFormatter.getSeparator(),
+        tagConverter.getCategoryGroups()
+    );
 }
 
 /**
@@ -1782,84 +5309,634 @@ const ClipboardManager = {
     permissionChecked: false,
     
     /**
-     * 检查剪贴板权限状态
-     * @returns {Promise<boolean>} 是否有权限
+     * 检查剪贴板权限状态
+     * @returns {Promise<boolean>} 是否有权限
+     */
+    async checkPermission() {
+        try {
+            // 如果已经检查过且有权限，直接返回
+            if (this.permissionChecked && this.permissionGranted) {
+                return true;
+            }
+            
+            // 检查Permissions API支持
+            if ('permissions' in navigator) {
+                const permission = await navigator.permissions.query({ name: 'clipboard-read' });
+                
+                if (permission.state === 'granted') {
+                    this.permissionGranted = true;
+                    this.permissionChecked = true;
+                    return true;
+                } else if (permission.state === 'denied') {
+                    this.permissionGranted = false;
+                    this.permissionChecked = true;
+                    return false;
+                }
+                // 如果是 'prompt' 状态，需要用户交互
+            }
+            
+            return false;
+        } catch (error) {
+            console.log('权限检查失败，将通过用户交互获取:', error);
+            return false;
+        }
+    },
+    
+    /**
+     * 请求剪贴板权限（通过实际读取操作）
+     * @returns {Promise<boolean>} 是否获得权限
+     */
+    async requestPermission() {
+        try {
+            // 尝试读取剪贴板来触发权限请求
+            await navigator.clipboard.readText();
+            this.permissionGranted = true;
+            this.permissionChecked = true;
+            return true;
+        } catch (error) {
+            if (error.name === 'NotAllowedError') {
+                this.permissionGranted = false;
+                this.permissionChecked = true;
+                return false;
+            }
+            // 其他错误（如空剪贴板）不影响权限状态
+            this.permissionGranted = true;
+            this.permissionChecked = true;
+            return true;
+        }
+    },
+    
+    /**
+     * 安全地读取剪贴板内容
+     * 
+     * 剪贴板中有Booru标签侧栏的HTML时优先返回HTML（带准确的分类和帖子数），否则返回纯文本
+     * 
+     * @returns {Promise<string>} 剪贴板内容
+     */
+    async readClipboard() {
+        if (!navigator.clipboard || !navigator.clipboard.readText) {
+            throw new Error('浏览器不支持剪贴板API');
+        }
+        
+        if (navigator.clipboard.read) {
+            try {
+                const html = await this.readHtml();
+                if (html && tagConverter.formatDetector.isBooruTagListHtml(html)) {
+                    return html;
+                }
+            } catch (error) {
+                console.log('读取HTML剪贴板失败，改为读取纯文本:', error);
+            }
+        }
+        
+        return await navigator.clipboard.readText();
+    },
+    
+    /**
+     * 读取剪贴板中的 text/html 内容
+     * @returns {Promise<string|null>} HTML内容，没有时返回null
+     */
+    async readHtml() {
+        const items = await navigator.clipboard.read();
+        const item = items.find(clipboardItem => clipboardItem.types.includes('text/html'));
+        if (!item) return null;
+        
+        const blob = await item.getType('text/html');
+        return await blob.text();
+    },
+    
+    /**
+     * 重置权限状态（用于测试或权限变更时）
+     */
+    resetPermission() {
+        this.permissionGranted = false;
+        this.permissionChecked = false;
+    }
+};
+
+/**
+ * 图片元数据读取器 - ImageMetadataReader
+ * 
+ * 功能说明：
+ * - PNG：tEXt / zTXt / iTXt 文本块（A1111的parameters、NovelAI的Comment、ComfyUI的prompt/workflow）
+ * - JPEG：APP1 Exif 中的 UserComment，以及COM注释段
+ * - WebP：EXIF 块中的 UserComment
+ * 
+ * 所有解析均在浏览器本地完成，图片不会上传
+ */
+const ImageMetadataReader = {
+    /**
+     * 从图片文件读取提示词文本
+     * @param {File|Blob} file - 图片文件
+     * @returns {Promise<{source: string, text: string}|null>} 提示词来源与文本，未找到时返回null
+     */
+    async readPrompt(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const metadata = await this.readMetadata(bytes);
+        return this.toPromptText(metadata);
+    },
+    
+    /**
+     * 按文件头识别图片类型并读取文本元数据
+     * @param {Uint8Array} bytes - 图片字节
+     * @returns {Promise<Object<string, string>>} 元数据键值对
+     */
+    async readMetadata(bytes) {
+        if (CONFIG.IMAGE.PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)) {
+            return this.readPng(bytes);
+        }
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+            return this.readJpeg(bytes);
+        }
+        if (this.readAscii(bytes, 0, 4) === 'RIFF' && this.readAscii(bytes, 8, 4) === 'WEBP') {
+            return this.readWebp(bytes);
+        }
+        return {};
+    },
+    
+    /**
+     * 读取PNG文本块
+     * @param {Uint8Array} bytes - PNG字节
+     * @returns {Promise<Object<string, string>>}
+     */
+    async readPng(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const metadata = {};
+        let offset = CONFIG.IMAGE.PNG_SIGNATURE.length;
+        
+        while (offset + 8 <= bytes.length) {
+            const length = view.getUint32(offset);
+            const type = this.readAscii(bytes, offset + 4, 4);
+            const data = bytes.subarray(offset + 8, offset + 8 + length);
+            
+            if (type === 'tEXt') {
+                const separator = data.indexOf(0);
+                metadata[this.readLatin1(data.subarray(0, separator))] = this.readLatin1(data.subarray(separator + 1));
+            } else if (type === 'zTXt') {
+                const separator = data.indexOf(0);
+                const inflated = await this.inflate(data.subarray(separator + 2));
+                metadata[this.readLatin1(data.subarray(0, separator))] = this.readLatin1(inflated);
+            } else if (type === 'iTXt') {
+                Object.assign(metadata, await this.readITXt(data));
+            } else if (type === 'eXIf') {
+                Object.assign(metadata, this.readExif(data));
+            } else if (type === 'IEND') {
+                break;
+            }
+            
+            offset += 12 + length; // 长度 + 类型 + 数据 + CRC
+        }
+        
+        return metadata;
+    },
+    
+    /**
+     * 读取iTXt块：关键字\0 压缩标志 压缩方法 语言\0 翻译关键字\0 文本
+     * @param {Uint8Array} data - 块数据
+     * @returns {Promise<Object<string, string>>}
+     */
+    async readITXt(data) {
+        const keywordEnd = data.indexOf(0);
+        const keyword = this.readLatin1(data.subarray(0, keywordEnd));
+        const compressed = data[keywordEnd + 1] === 1;
+        const languageEnd = data.indexOf(0, keywordEnd + 3);
+        const translatedEnd = data.indexOf(0, languageEnd + 1);
+        
+        let text = data.subarray(translatedEnd + 1);
+        if (compressed) {
+            text = await this.inflate(text);
+        }
+        
+        return { [keyword]: new TextDecoder('utf-8').decode(text) };
+    },
+    
+    /**
+     * 读取JPEG中的Exif与COM注释
+     * @param {Uint8Array} bytes - JPEG字节
+     * @returns {Object<string, string>}
+     */
+    readJpeg(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const metadata = {};
+        let offset = 2;
+        
+        while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+            const marker = bytes[offset + 1];
+            // 图像数据开始（SOS）或结束（EOI）后不再有元数据段
+            if (marker === 0xDA || marker === 0xD9) break;
+            
+            const length = view.getUint16(offset + 2);
+            const data = bytes.subarray(offset + 4, offset + 2 + length);
+            
+            if (marker === 0xE1 && this.readAscii(data, 0, 6) === 'Exif\0\0') {
+                Object.assign(metadata, this.readExif(data.subarray(6)));
+            } else if (marker === 0xFE) {
+                metadata.comment = new TextDecoder('utf-8').decode(data);
+            }
+            
+            offset += 2 + length;
+        }
+        
+        return metadata;
+    },
+    
+    /**
+     * 读取WebP中的EXIF块
+     * @param {Uint8Array} bytes - WebP字节
+     * @returns {Object<string, string>}
+     */
+    readWebp(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const metadata = {};
+        let offset = 12;
+        
+        while (offset + 8 <= bytes.length) {
+            const type = this.readAscii(bytes, offset, 4);
+            const length = view.getUint32(offset + 4, true);
+            let data = bytes.subarray(offset + 8, offset + 8 + length);
+            
+            if (type === 'EXIF') {
+                if (this.readAscii(data, 0, 6) === 'Exif\0\0') {
+                    data = data.subarray(6);
+                }
+                Object.assign(metadata, this.readExif(data));
+            }
+            
+            offset += 8 + length + (length % 2); // 块按偶数字节对齐
+        }
+        
+        return metadata;
+    },
+    
+    /**
+     * 解析TIFF格式的Exif数据，读取UserComment和IFD0中的文本标签
+     * @param {Uint8Array} tiff - 以字节序标记开头的TIFF数据
+     * @returns {Object<string, string>}
+     */
+    readExif(tiff) {
+        const metadata = {};
+        if (tiff.length < 8) return metadata;
+        
+        const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+        const littleEndian = this.readAscii(tiff, 0, 2) === 'II';
+        const ifd0 = this.readIfd(view, view.getUint32(4, littleEndian), littleEndian);
+        
+        [CONFIG.IMAGE.IMAGE_DESCRIPTION, CONFIG.IMAGE.MAKE, CONFIG.IMAGE.MODEL].forEach(tagId => {
+            const entry = ifd0.get(tagId);
+            if (entry) {
+                const text = this.readLatin1(this.getEntryBytes(tiff, view, entry, littleEndian)).replace(/\0+$/, '');
+                // ComfyUI 以 "Prompt:{...}" / "Workflow:{...}" 形式写入
+                const prefixed = text.match(/^(Prompt|Workflow):\s*([\s\S]*)$/);
+                if (prefixed) {
+                    metadata[prefixed[1].toLowerCase()] = prefixed[2];
+                } else if (tagId === CONFIG.IMAGE.IMAGE_DESCRIPTION) {
+                    metadata.description = text;
+                }
+            }
+        });
+        
+        const exifPointer = ifd0.get(CONFIG.IMAGE.EXIF_IFD_POINTER);
+        if (exifPointer) {
+            const exifIfd = this.readIfd(view, exifPointer.valueOffset, littleEndian);
+            const userComment = exifIfd.get(CONFIG.IMAGE.EXIF_USER_COMMENT);
+            if (userComment) {
+                metadata.userComment = this.decodeUserComment(this.getEntryBytes(tiff, view, userComment, littleEndian));
+            }
+        }
+        
+        return metadata;
+    },
+    
+    /**
+     * 读取一个IFD的所有条目
+     * @param {DataView} view - TIFF数据视图
+     * @param {number} offset - IFD偏移
+     * @param {boolean} littleEndian - 字节序
+     * @returns {Map<number, {type: number, count: number, valueOffset: number, entryOffset: number}>}
+     */
+    readIfd(view, offset, littleEndian) {
+        const entries = new Map();
+        if (offset + 2 > view.byteLength) return entries;
+        
+        const count = view.getUint16(offset, littleEndian);
+        for (let i = 0; i < count; i++) {
+            const entryOffset = offset + 2 + i * 12;
+            if (entryOffset + 12 > view.byteLength) break;
+            
+            entries.set(view.getUint16(entryOffset, littleEndian), {
+                type: view.getUint16(entryOffset + 2, littleEndian),
+                count: view.getUint32(entryOffset + 4, littleEndian),
+                valueOffset: view.getUint32(entryOffset + 8, littleEndian),
+                entryOffset
+            });
+        }
+        
+        return entries;
+    },
+    
+    /**
+     * 获取IFD条目的原始字节（不超过4字节时数据内联在条目中）
+     * @param {Uint8Array} tiff - TIFF数据
+     * @param {DataView} view - TIFF数据视图
+     * @param {Object} entry - IFD条目
+     * @param {boolean} littleEndian - 字节序
+     * @returns {Uint8Array}
+     */
+    getEntryBytes(tiff, view, entry, littleEndian) {
+        if (entry.count <= 4) {
+            return tiff.subarray(entry.entryOffset + 8, entry.entryOffset + 8 + entry.count);
+        }
+        return tiff.subarray(entry.valueOffset, entry.valueOffset + entry.count);
+    },
+    
+    /**
+     * 解码UserComment：前8字节为字符集标识（UNICODE / ASCII / 空）
+     * @param {Uint8Array} bytes - UserComment字节
+     * @returns {string}
+     */
+    decodeUserComment(bytes) {
+        const charset = this.readAscii(bytes, 0, 8).replace(/\0+$/, '');
+        const body = bytes.subarray(8);
+        
+        if (charset === 'UNICODE') {
+            // 不同工具写入的UTF-16字节序不一致，按ASCII字符的零字节位置判断
+            const bigEndian = body.length >= 2 && body[0] === 0 && body[1] !== 0;
+            return new TextDecoder(bigEndian ? 'utf-16be' : 'utf-16le').decode(body).replace(/\0+$/, '');
+        }
+        
+        return new TextDecoder('utf-8').decode(body).replace(/\0+$/, '');
+    },
+    
+    /**
+     * 将元数据转换为可转换的提示词文本
+     * @param {Object<string, string>} metadata - 元数据键值对
+     * @returns {{source: string, text: string}|null}
+     */
+    toPromptText(metadata) {
+        // A1111 / Forge：PNG parameters 或 JPEG/WebP UserComment
+        if (metadata.parameters) {
+            return { source: 'WebUI parameters', text: metadata.parameters };
+        }
+        if (metadata.userComment && metadata.userComment.trim()) {
+            return { source: 'Exif UserComment', text: metadata.userComment };
+        }
+        
+        // NovelAI：Comment 为JSON，整理为WebUI参数格式以复用负面提示词和设置显示
+        if (metadata.Comment) {
+            const novelAI = this.fromNovelAIComment(metadata.Comment, metadata.Description);
+            if (novelAI) return novelAI;
+        }
+        
+        // ComfyUI：交给ComfyUI格式处理，以回溯正负向提示词并支持选择节点
+        if (metadata.prompt && metadata.prompt.trim().startsWith('{')) {
+            return { source: 'ComfyUI prompt', text: metadata.prompt };
+        }
+        if (metadata.workflow && metadata.workflow.trim().startsWith('{')) {
+            return { source: 'ComfyUI workflow', text: metadata.workflow };
+        }
+        
+        const fallback = metadata.Description || metadata.description || metadata.comment;
+        if (fallback && fallback.trim()) {
+            return { source: '图片描述', text: fallback };
+        }
+        
+        return null;
+    },
+    
+    /**
+     * 解析NovelAI的Comment JSON
+     * @param {string} comment - Comment文本
+     * @param {string} description - Description文本（正向提示词）
+     * @returns {{source: string, text: string}|null}
      */
-    async checkPermission() {
+    fromNovelAIComment(comment, description) {
         try {
-            // 如果已经检查过且有权限，直接返回
-            if (this.permissionChecked && this.permissionGranted) {
-                return true;
+            const data = JSON.parse(comment);
+            const prompt = data.prompt || description;
+            if (!prompt) return null;
+            
+            const lines = [prompt];
+            if (data.uc) {
+                lines.push(`Negative prompt: ${data.uc}`);
             }
             
-            // 检查Permissions API支持
-            if ('permissions' in navigator) {
-                const permission = await navigator.permissions.query({ name: 'clipboard-read' });
-                
-                if (permission.state === 'granted') {
-                    this.permissionGranted = true;
-                    this.permissionChecked = true;
-                    return true;
-                } else if (permission.state === 'denied') {
-                    this.permissionGranted = false;
-                    this.permissionChecked = true;
-                    return false;
-                }
-                // 如果是 'prompt' 状态，需要用户交互
+            const settings = [
+                ['Steps', data.steps],
+                ['Sampler', data.sampler],
+                ['CFG scale', data.scale],
+                ['Seed', data.seed],
+                ['Size', data.width && data.height ? `${data.width}x${data.height}` : null]
+            ].filter(([, value]) => value !== undefined && value !== null);
+            if (data.steps !== undefined && settings.length > 0) {
+                lines.push(settings.map(([key, value]) => `${key}: ${value}`).join(', '));
             }
             
-            return false;
+            return { source: 'NovelAI Comment', text: lines.join('\n') };
         } catch (error) {
-            console.log('权限检查失败，将通过用户交互获取:', error);
-            return false;
+            return null;
         }
     },
     
     /**
-     * 请求剪贴板权限（通过实际读取操作）
-     * @returns {Promise<boolean>} 是否获得权限
+     * 使用浏览器内置的DecompressionStream解压zlib数据
+     * @param {Uint8Array} data - zlib压缩数据
+     * @returns {Promise<Uint8Array>}
      */
-    async requestPermission() {
-        try {
-            // 尝试读取剪贴板来触发权限请求
-            await navigator.clipboard.readText();
-            this.permissionGranted = true;
-            this.permissionChecked = true;
-            return true;
-        } catch (error) {
-            if (error.name === 'NotAllowedError') {
-                this.permissionGranted = false;
-                this.permissionChecked = true;
-                return false;
-            }
-            // 其他错误（如空剪贴板）不影响权限状态
-            this.permissionGranted = true;
-            this.permissionChecked = true;
-            return true;
-        }
+    async inflate(data) {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
     },
     
     /**
-     * 安全地读取剪贴板内容
-     * @returns {Promise<string>} 剪贴板内容
+     * 按ASCII读取固定长度字符串
+     * @param {Uint8Array} bytes - 字节
+     * @param {number} offset - 起始位置
+     * @param {number} length - 长度
+     * @returns {string}
      */
-    async readClipboard() {
-        if (!navigator.clipboard || !navigator.clipboard.readText) {
-            throw new Error('浏览器不支持剪贴板API');
-        }
-        
-        return await navigator.clipboard.readText();
+    readAscii(bytes, offset, length) {
+        return String.fromCharCode(...bytes.subarray(offset, offset + length));
     },
     
     /**
-     * 重置权限状态（用于测试或权限变更时）
+     * 按Latin-1解码（PNG tEXt规定的编码，实际常为UTF-8，优先尝试UTF-8）
+     * @param {Uint8Array} bytes - 字节
+     * @returns {string}
      */
-    resetPermission() {
-        this.permissionGranted = false;
-        this.permissionChecked = false;
+    readLatin1(bytes) {
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            return new TextDecoder('latin1').decode(bytes);
+        }
     }
 };
 
+/**
+ * 从图片文件读取提示词并转换
+ * @param {File} file - 图片文件
+ */
+async function loadPromptFromImage(file) {
+    try {
+        const result = await ImageMetadataReader.readPrompt(file);
+        
+        if (!result) {
+            tagConverter.uiManager.showError(`未在图片 ${file.name || ''} 中找到提示词元数据`);
+            return;
+        }
+        
+        document.getElementById('input').value = result.text;
+        convert();
+        console.log(`已从图片读取提示词（${result.source}）`);
+    } catch (error) {
+        console.error('图片元数据读取失败:', error);
+        tagConverter.uiManager.showError('图片元数据读取失败');
+    }
+}
+
+/**
+ * 检查文件是否为可读取的API响应（.json / .xml）
+ * @param {File} file - 文件
+ * @returns {boolean}
+ */
+function isApiResponseFile(file) {
+    return CONFIG.API.FILE_TYPES.includes(file.type) || CONFIG.API.FILE_PATTERN.test(file.name || '');
+}
+
+/**
+ * 从API响应文件读取内容并转换（本地读取，不发起网络请求）
+ * @param {File} file - JSON/XML文件
+ */
+async function loadInputFromFile(file) {
+    try {
+        document.getElementById('input').value = await file.text();
+        convert();
+    } catch (error) {
+        console.error('文件读取失败:', error);
+        tagConverter.uiManager.showError(`文件 ${file.name || ''} 读取失败`);
+    }
+}
+
+/**
+ * 检查文件是否可作为批量模式中的一个帖子（图片、API响应或纯文本）
+ * @param {File} file - 文件
+ * @returns {boolean}
+ */
+function isBatchInputFile(file) {
+    return file.type.startsWith('image/') || file.type === 'text/plain' ||
+        CONFIG.BATCH.TEXT_FILE_PATTERN.test(file.name || '') || isApiResponseFile(file);
+}
+
+/**
+ * 批量模式：读取多个文件，每个文件作为一个帖子
+ * @param {File[]} files - 文件列表
+ */
+async function loadBatchFiles(files) {
+    const sources = [];
+    
+    for (const file of files) {
+        try {
+            const text = file.type.startsWith('image/')
+                ? (await ImageMetadataReader.readPrompt(file))?.text
+                : await file.text();
+            if (text && text.trim()) {
+                sources.push({ name: (file.name || '').replace(/\.[^.]*$/, '') || file.name, text: text.trim() });
+            }
+        } catch (error) {
+            console.warn(`文件 ${file.name || ''} 读取失败:`, error);
+        }
+    }
+    
+    if (sources.length === 0) {
+        tagConverter.uiManager.showError('未能从文件中读取到内容');
+        return;
+    }
+    
+    document.getElementById('input').value = tagConverter.batchProcessor.setSources(sources);
+    convert();
+}
+
+/**
+ * 处理拖放或粘贴的文件：图片读取元数据，JSON/XML读取API响应
+ * 批量模式下每个文件作为一个帖子
+ * @param {File[]} files - 文件列表
+ * @returns {boolean} - 是否已处理
+ */
+function loadInputFiles(files) {
+    if (tagConverter.batchProcessor.enabled) {
+        const batchFiles = files.filter(isBatchInputFile);
+        if (batchFiles.length === 0) return false;
+        loadBatchFiles(batchFiles);
+        return true;
+    }
+    
+    const image = files.find(f => f.type.startsWith('image/'));
+    if (image) {
+        loadPromptFromImage(image);
+        return true;
+    }
+    
+    const apiFile = files.find(isApiResponseFile);
+    if (apiFile) {
+        loadInputFromFile(apiFile);
+        return true;
+    }
+    
+    return false;
+}
+
+/**
+ * 处理拖放到输入框的文件
+ * @param {DragEvent} event - 拖放事件
+ */
+function handleInputDrop(event) {
+    event.currentTarget.classList.remove('drag-over');
+    
+    // 其他内容交给浏览器默认处理（如拖入文本）
+    if (loadInputFiles(Array.from(event.dataTransfer?.files || []))) {
+        event.preventDefault();
+    }
+}
+
+/**
+ * 处理拖拽经过输入框，显示可放置状态
+ * @param {DragEvent} event - 拖拽事件
+ */
+function handleInputDragOver(event) {
+    if (Array.from(event.dataTransfer?.types || []).includes('Files')) {
+        event.preventDefault();
+        event.currentTarget.classList.add('drag-over');
+    }
+}
+
+/**
+ * 处理拖拽离开输入框
+ * @param {DragEvent} event - 拖拽事件
+ */
+function handleInputDragLeave(event) {
+    event.currentTarget.classList.remove('drag-over');
+}
+
+/**
+ * 处理粘贴到输入框的图片、API响应文件或标签侧栏HTML
+ * @param {ClipboardEvent} event - 粘贴事件
+ */
+function handleInputPaste(event) {
+    if (loadInputFiles(Array.from(event.clipboardData?.files || []))) {
+        event.preventDefault();
+        return;
+    }
+    
+    // 标签侧栏的HTML带有准确的分类和帖子数，优先于纯文本
+    const html = event.clipboardData?.getData('text/html');
+    if (html && tagConverter.formatDetector.isBooruTagListHtml(html)) {
+        event.preventDefault();
+        document.getElementById('input').value = html;
+        convert();
+    }
+    // 其他情况走默认的纯文本粘贴流程
+}
+
 /**
  * 粘贴并复制功能 - 一键完成粘贴、处理、复制流程
  * @param {HTMLElement} button - 触发的按钮元素
@@ -1912,10 +5989,9 @@ async function pasteAndCopy(button) {
             await new Promise(resolve => setTimeout(resolve, 100));
             
             // 6. 检查转换结果
-            const output = document.getElementById('output');
-            const result = output.textContent.trim();
+            const result = tagConverter.uiManager.outputText.trim();
             
-            if (!result || result === '等待输入内容进行转换...') {
+            if (!result) {
                 throw new Error('转换结果为空');
             }
             
@@ -1969,36 +6045,319 @@ async function pasteAndCopy(button) {
         console.error('粘贴并复制功能初始化失败:', error);
         alert('功能初始化失败，请刷新页面重试');
     }
-}
+}
+
+/**
+ * 主动请求剪贴板权限（页面加载时调用）
+ */
+async function initializeClipboardPermission() {
+    try {
+        // 检查当前权限状态
+        await ClipboardManager.checkPermission();
+        
+        if (ClipboardManager.permissionGranted) {
+            console.log('✅ 剪贴板权限已获取');
+        } else {
+            console.log('ℹ️ 剪贴板权限未获取，首次使用时将请求权限');
+        }
+    } catch (error) {
+        console.log('剪贴板权限初始化失败:', error);
+    }
+}
+
+/**
+ * 复制输出结果到剪贴板
+ * @param {HTMLElement} button - 触发的按钮元素
+ */
+function copyOutput(button) {
+    const content = tagConverter.uiManager.outputText.trim();
+    
+    if (!content) {
+        alert('没有可复制的内容');
+        return;
+    }
+    
+    navigator.clipboard.writeText(content)
+        .then(() => {
+            tagConverter.uiManager.showCopySuccess(button);
+        })
+        .catch(err => {
+            console.error('复制失败:', err);
+            alert('复制失败，请手动选择复制');
+        });
+}
+
+/**
+ * 复制单个分类的标签
+ * @param {HTMLElement} button - 分类标题中的复制按钮
+ */
+function copyCategoryOutput(button) {
+    const groupEl = button.closest('.category-group');
+    const tagsEl = groupEl ? groupEl.querySelector('.category-tags') : null;
+    const content = tagsEl ? tagsEl.textContent.trim() : '';
+    
+    if (!content) {
+        alert('没有可复制的内容');
+        return;
+    }
+    
+    navigator.clipboard.writeText(content)
+        .then(() => {
+            tagConverter.uiManager.showCopySuccess(button);
+        })
+        .catch(err => {
+            console.error('复制失败:', err);
+            alert('复制失败，请手动选择复制');
+        });
+}
+
+/**
+ * 下载全部批量结果
+ * @param {string} type - 'txt'：每行一个帖子；'zip'：每个帖子一个 .txt 文件
+ */
+function downloadBatch(type) {
+    const results = tagConverter.lastBatchResults;
+    if (results.length === 0) {
+        alert('没有可下载的内容');
+        return;
+    }
+    
+    const separator = tagConverter.outputFormatter.getSeparator();
+    const blob = type === 'zip'
+        ? ZipWriter.create(getBatchFileEntries(results, separator))
+        : new Blob([results.map(result => result.tags.join(separator)).join('\n')], { type: 'text/plain' });
+    
+    downloadBlob(blob, `${CONFIG.BATCH.DOWNLOAD_NAME}.${type === 'zip' ? 'zip' : 'txt'}`);
+}
+
+/**
+ * 通过临时链接下载文件
+ * @param {Blob} blob - 文件内容
+ * @param {string} filename - 文件名
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * 生成压缩包中的文件，重名时追加序号
+ * @param {Array<{name: string, tags: string[]}>} results - 批量结果
+ * @param {string} separator - 标签分隔符
+ * @returns {Array<{name: string, text: string}>}
+ */
+function getBatchFileEntries(results, separator) {
+    const usedNames = new Set();
+    
+    return results.map(result => {
+        let name = `${result.name}.txt`;
+        for (let index = 2; usedNames.has(name.toLowerCase()); index++) {
+            name = `${result.name}_${index}.txt`;
+        }
+        usedNames.add(name.toLowerCase());
+        return { name, text: result.tags.join(separator) };
+    });
+}
+
+/**
+ * 最小ZIP写入器：仅存储（STORE，不压缩），足以打包批量结果的文本文件
+ */
+const ZipWriter = {
+    // CRC-32 查找表，首次使用时生成
+    crcTable: null,
+    
+    /**
+     * 打包文件
+     * @param {Array<{name: string, text: string}>} files - 文件名和UTF-8文本内容
+     * @returns {Blob}
+     */
+    create(files) {
+        const encoder = new TextEncoder();
+        const { time, date } = this.toDosDateTime(new Date());
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+        
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.text);
+            const crc = this.crc32(data);
+            
+            // 本地文件头（30字节）+ 文件名 + 数据；通用标志位11表示文件名为UTF-8
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(8, 0, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            localParts.push(new Uint8Array(local.buffer), name, data);
+            
+            // 中央目录项（46字节）+ 文件名
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            
+            offset += 30 + name.length + data.length;
+        });
+        
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        
+        // 中央目录结束记录（22字节）
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        
+        return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
+    },
+    
+    /**
+     * 计算CRC-32
+     * @param {Uint8Array} bytes - 数据
+     * @returns {number}
+     */
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+    
+    /**
+     * 转换为ZIP使用的MS-DOS时间和日期
+     * @param {Date} value - 时间
+     * @returns {{time: number, date: number}}
+     */
+    toDosDateTime(value) {
+        return {
+            time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+            date: ((Math.max(value.getFullYear(), 1980) - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+        };
+    }
+};
 
 /**
- * 主动请求剪贴板权限（页面加载时调用）
+ * 最小ZIP读取器：支持存储（STORE）和DEFLATE压缩的条目，解压使用浏览器内置的 DecompressionStream
  */
-async function initializeClipboardPermission() {
-    try {
-        // 检查当前权限状态
-        await ClipboardManager.checkPermission();
+const ZipReader = {
+    /**
+     * 读取压缩包中的所有文件（跳过目录）
+     * @param {Uint8Array} bytes - 压缩包内容
+     * @returns {Promise<Array<{name: string, data: Uint8Array}>>}
+     */
+    async read(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const endOffset = this.findEndOfCentralDirectory(view);
+        if (endOffset < 0) {
+            throw new Error('不是有效的ZIP文件');
+        }
         
-        if (ClipboardManager.permissionGranted) {
-            console.log('✅ 剪贴板权限已获取');
-        } else {
-            console.log('ℹ️ 剪贴板权限未获取，首次使用时将请求权限');
+        const decoder = new TextDecoder();
+        const count = view.getUint16(endOffset + 10, true);
+        let offset = view.getUint32(endOffset + 16, true);
+        const files = [];
+        
+        for (let i = 0; i < count && view.getUint32(offset, true) === 0x02014B50; i++) {
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+            
+            if (name.endsWith('/')) continue;
+            
+            // 数据位置以本地文件头中的文件名和扩展字段长度为准
+            const dataStart = localOffset + 30 +
+                view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const data = bytes.subarray(dataStart, dataStart + compressedSize);
+            
+            if (method === 0) {
+                files.push({ name, data });
+            } else if (method === 8) {
+                files.push({ name, data: await this.inflateRaw(data) });
+            } else {
+                console.warn(`跳过不支持的压缩方式 ${method}: ${name}`);
+            }
         }
-    } catch (error) {
-        console.log('剪贴板权限初始化失败:', error);
+        
+        return files;
+    },
+    
+    /**
+     * 从文件末尾查找中央目录结束记录（其后可能有最长65535字节的注释）
+     * @param {DataView} view - 压缩包内容
+     * @returns {number} - 记录位置，未找到时为 -1
+     */
+    findEndOfCentralDirectory(view) {
+        const minOffset = Math.max(0, view.byteLength - 22 - 0xFFFF);
+        for (let offset = view.byteLength - 22; offset >= minOffset; offset--) {
+            if (view.getUint32(offset, true) === 0x06054B50) {
+                return offset;
+            }
+        }
+        return -1;
+    },
+    
+    /**
+     * 解压原始DEFLATE数据
+     * @param {Uint8Array} data - 压缩数据
+     * @returns {Promise<Uint8Array>}
+     */
+    async inflateRaw(data) {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
     }
-}
+};
 
 /**
- * 复制输出结果到剪贴板
+ * 复制WebUI参数中的负面提示词
  * @param {HTMLElement} button - 触发的按钮元素
  */
-function copyOutput(button) {
-    const output = document.getElementById('output');
-    const content = output.textContent.trim();
+function copyNegativePrompt(button) {
+    const negative = document.getElementById('parameters-negative');
+    const content = negative ? negative.textContent.trim() : '';
     
-    if (!content || content === '等待输入内容进行转换...') {
-        alert('没有可复制的内容');
+    if (!content || content === '（无）') {
+        alert('没有可复制的负面提示词');
         return;
     }
     
@@ -2033,11 +6392,41 @@ const ExampleManager = {
             name: 'Danbooru',
             content: `General\n?\n1boy 1.4M\n?\n1girl 6.1M\n?\noriginal 2.8M`
         },
+        // 带多个分类的Danbooru示例（用于按分类输出视图）
+        {
+            name: 'Danbooru（分类）',
+            content: `Copyright\n?\noriginal 2.8M\nGeneral\n?\n1boy 1.4M\n?\n1girl 6.1M\nMeta\n?\nhighres 5.9M`
+        },
         // Gelbooru格式示例  
         {
             name: 'Gelbooru',
             content: `Artist? nekotokage 169Character? shirayuki tomoe 939Tag? 1girl 8032615? long hair 5441398? smile 3596391`
         },
+        // WebUI参数格式示例
+        {
+            name: 'WebUI',
+            content: `masterpiece, best quality, 1girl, (smile:1.2), long hair\nNegative prompt: lowres, bad anatomy, worst quality\nSteps: 28, Sampler: Euler a, CFG scale: 7, Seed: 1234567890, Size: 832x1216, Model: animagine-xl-3.1`
+        },
+        // e621格式示例
+        {
+            name: 'e621',
+            content: `Artists\n? + – kenket 1.5k\nSpecies\n? + – canine 412k\n? + – mammal 2.4M\nGeneral\n? + – solo 2.1M\n? + – smile 560k`
+        },
+        // Sankaku格式示例
+        {
+            name: 'Sankaku',
+            content: `Copyright\noriginal オリジナル 1.2M 3.1k\nArtist\nfuzichoco 2.3k 1.5k\nGeneral\nlong hair 長髪 5.4M 12k\ndress ドレス 2.1M 4k\nMedium\nhighres 高解像度 8.1M 2k`
+        },
+        // Yande.re/Konachan格式示例
+        {
+            name: 'Yande.re',
+            content: `Copyright\n? original 45210\nArtist\n? fuzichoco 412\nCircle\n? paseri 30\nGeneral\n? long hair 235012\n? dress 98571`
+        },
+        // Booru标签串示例
+        {
+            name: 'Booru',
+            content: `1girl solo long_hair blue_eyes school_uniform smile ^_^ hatsune_miku_(cosplay)`
+        },
         // 标准格式示例
         {
             name: 'Standard',
@@ -2079,75 +6468,601 @@ const ExampleManager = {
      * - try/finally确保状态清理
      * - 延时解除防止意外快速点击
      */
-    async loadExample() {
-        // 防重复点击
-        if (this.isLoading) {
-            return;
+    async loadExample() {
+        // 防重复点击
+        if (this.isLoading) {
+            return;
+        }
+        
+        this.isLoading = true;
+        
+        try {
+            const example = this.getNextExample();
+            const inputElement = document.getElementById('input');
+            const button = document.getElementById('load-example-btn');
+            
+            // 更新按钮状态
+            if (button) {
+                const originalText = button.textContent;
+                button.textContent = `☑️ 已加载`;
+                button.disabled = true;
+                
+                // 恢复按钮状态
+                setTimeout(() => {
+                    button.textContent = originalText;
+                    button.disabled = false;
+                }, 500);
+            }
+            
+            // 加载示例内容
+            inputElement.value = example.content;
+            convert();
+            
+            // 显示加载的示例类型
+            console.log(`已加载 ${example.name} 格式示例`);
+            
+        } finally {
+            // 500ms后允许下次点击
+            setTimeout(() => {
+                this.isLoading = false;
+            }, 500);
+        }
+    }
+};
+
+/**
+ * 加载示例数据（全局函数，供按钮调用）
+ */
+function loadExample() {
+    ExampleManager.loadExample();
+}
+
+/**
+ * 清空所有内容 - 重置应用状态
+ * 
+ * 清空操作：
+ * 1. 清空输入框内容
+ * 2. 重置输出区域为默认提示状态
+ * 3. 隐藏格式检测状态指示器
+ * 4. 清除所有样式类
+ * 
+ * 注意：不会清除过滤器设置，保持用户配置
+ */
+function clearAll() {
+    document.getElementById('input').value = '';
+    tagConverter.lastTags = [];
+    tagConverter.lastBatchResults = [];
+    tagConverter.batchProcessor.clearSources();
+    tagConverter.uiManager.updateOutput([]);
+    
+    const statusEl = document.getElementById('format-status');
+    if (statusEl) {
+        statusEl.style.display = 'none';
+    }
+    
+    tagConverter.uiManager.updateParametersInfo(null);
+    tagConverter.uiManager.updateComfyUINodes(null);
+    tagConverter.uiManager.updateTrainingPreview(null, 0);
+}
+
+/**
+ * 数据集中的单个caption
+ * @typedef {Object} DatasetEntry
+ * @property {string} path - 数据集内的相对路径，导出时保持不变
+ * @property {string} original - 原始caption
+ * @property {string} cleaned - 处理后的caption（可手动修改）
+ * @property {number} before - 过滤前（清理去重后）的标签数
+ * @property {number} after - 处理后的标签数
+ * @property {number} keepTokens - keep_tokens 范围内的标签数（训练辅助）
+ * @property {boolean} edited - 是否手动修改过
+ * @property {string|null} imageUrl - 同名图片的缩略图地址
+ */
+
+/**
+ * 数据集管理器 - LoRA训练caption的批量清理
+ * 
+ * 加载文件夹或压缩包中的 .txt caption（同名图片作为缩略图），
+ * 每个caption经过 ContentCleaner 和 GroupedFilterManager.applyFilter 处理，
+ * 逐个显示处理前后的内容，导出时保持原文件名。全部在浏览器本地完成
+ */
+const DatasetManager = {
+    /** @type {DatasetEntry[]} */
+    entries: [],
+    
+    // 数据集的标签频率统计
+    statistics: new TagStatistics(),
+    
+    /**
+     * 从文件夹选择结果加载（去掉所选文件夹本身这一层路径）
+     * @param {File[]} files - 文件列表
+     */
+    async loadFolder(files) {
+        const records = files.map(file => ({
+            path: (file.webkitRelativePath || file.name).split('/').slice(1).join('/') || file.name,
+            blob: file
+        }));
+        await this.load(records);
+    },
+    
+    /**
+     * 从压缩包加载
+     * @param {File} file - .zip 文件
+     */
+    async loadZip(file) {
+        const files = await ZipReader.read(new Uint8Array(await file.arrayBuffer()));
+        await this.load(files.map(item => ({ path: item.name, blob: new Blob([item.data]) })));
+    },
+    
+    /**
+     * 加载文件：caption按路径（不含扩展名）匹配同名图片
+     * @param {Array<{path: string, blob: Blob}>} records - 文件路径和内容
+     */
+    async load(records) {
+        this.clear();
+        
+        const usable = records.filter(record => !CONFIG.DATASET.IGNORED_PATH.test(record.path));
+        const stem = path => path.replace(/\.[^./]*$/, '').toLowerCase();
+        const images = new Map(usable
+            .filter(record => CONFIG.DATASET.IMAGE_PATTERN.test(record.path))
+            .map(record => [stem(record.path), record.blob]));
+        
+        for (const record of usable.filter(item => CONFIG.DATASET.CAPTION_PATTERN.test(item.path))) {
+            const image = images.get(stem(record.path));
+            this.entries.push({
+                path: record.path,
+                original: (await record.blob.text()).trim(),
+                cleaned: '',
+                before: 0,
+                after: 0,
+                keepTokens: 0,
+                edited: false,
+                imageUrl: image ? URL.createObjectURL(image) : null
+            });
+        }
+        
+        this.entries.sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+        this.process();
+    },
+    
+    /**
+     * 按当前过滤和输出设置处理所有caption（覆盖手动修改）
+     */
+    process() {
+        const filterManager = tagConverter.filterManager;
+        const separator = tagConverter.outputFormatter.getSeparator();
+        this.statistics.reset();
+        
+        // applyFilter 会改写各组的命中数，处理完后还原，组卡片仍显示主输入的结果
+        const savedMeta = filterManager.groups.map(group => ({ ...group.meta }));
+        const { lastTotalFilteredCount, lastSimplifiedCount } = filterManager;
+        
+        this.entries.forEach(entry => {
+            const result = tagConverter.cleanCaption(entry.original);
+            entry.cleaned = result.tags.join(separator);
+            entry.before = result.cleanedTags.length;
+            entry.after = result.tags.length;
+            entry.keepTokens = result.keepTokens;
+            entry.edited = false;
+            this.statistics.addPost(result.cleanedTags, result.filteredTags, filterManager);
+        });
+        
+        filterManager.groups.forEach((group, index) => {
+            group.meta = savedMeta[index];
+        });
+        filterManager.lastTotalFilteredCount = lastTotalFilteredCount;
+        filterManager.lastSimplifiedCount = lastSimplifiedCount;
+        
+        this.render();
+        StatisticsView.render();
+    },
+    
+    /**
+     * 训练辅助启用时汇总 keep_tokens：固定标签在部分caption中缺失时各caption的值不同，需要提示
+     * @returns {string}
+     */
+    getKeepTokensSummary() {
+        if (!tagConverter.trainingFormatter.enabled) return '';
+        
+        const counts = new Map();
+        this.entries.forEach(entry => counts.set(entry.keepTokens, (counts.get(entry.keepTokens) || 0) + 1));
+        
+        if (counts.size === 1) {
+            return `，keep_tokens = ${this.entries[0].keepTokens}`;
+        }
+        const detail = Array.from(counts)
+            .sort((a, b) => a[0] - b[0])
+            .map(([keepTokens, count]) => `${keepTokens}：${count}个`)
+            .join('，');
+        return `，⚠️ keep_tokens 不一致（${detail}）`;
+    },
+    
+    /**
+     * 手动修改单个caption
+     * @param {number} index - 条目序号
+     * @param {string} text - 修改后的caption
+     * @returns {DatasetEntry|null}
+     */
+    edit(index, text) {
+        const entry = this.entries[index];
+        if (!entry) return null;
+        
+        entry.cleaned = text.trim();
+        entry.edited = true;
+        return entry;
+    },
+    
+    /**
+     * 导出处理后的caption压缩包，文件名与原路径一致
+     * @returns {Blob|null}
+     */
+    export() {
+        if (this.entries.length === 0) return null;
+        return ZipWriter.create(this.entries.map(entry => ({ name: entry.path, text: entry.cleaned })));
+    },
+    
+    /**
+     * 清空数据集并释放缩略图
+     */
+    clear() {
+        this.entries.forEach(entry => {
+            if (entry.imageUrl) URL.revokeObjectURL(entry.imageUrl);
+        });
+        this.entries = [];
+        this.statistics.reset();
+    },
+    
+    /**
+     * 渲染数据集列表和统计
+     */
+    render() {
+        const list = document.getElementById('dataset-list');
+        const summary = document.getElementById('dataset-summary');
+        const template = document.getElementById('dataset-item-template');
+        if (!list || !template) return;
+        
+        list.innerHTML = '';
+        this.entries.forEach((entry, index) => {
+            const item = template.content.cloneNode(true).firstElementChild;
+            item.dataset.index = String(index);
+            item.classList.toggle('changed', entry.cleaned !== entry.original);
+            
+            const thumb = item.querySelector('.dataset-thumb');
+            if (entry.imageUrl) {
+                thumb.src = entry.imageUrl;
+                thumb.alt = entry.path;
+            } else {
+                thumb.remove();
+            }
+            
+            item.querySelector('.dataset-name').textContent = `${entry.path} (${entry.before} → ${entry.after})`;
+            item.querySelector('.dataset-before').textContent = entry.original || '（空）';
+            item.querySelector('.dataset-after').value = entry.cleaned;
+            list.appendChild(item);
+        });
+        
+        if (summary) {
+            const imageCount = this.entries.filter(entry => entry.imageUrl).length;
+            const removed = this.entries.reduce((sum, entry) => sum + entry.before - entry.after, 0);
+            summary.textContent = this.entries.length > 0
+                ? `共 ${this.entries.length} 个caption（${imageCount} 个有图片），过滤移除 ${removed} 个标签` +
+                  this.getKeepTokensSummary()
+                : '未找到 .txt caption 文件';
+        }
+    }
+};
+
+/**
+ * 处理选择的数据集文件夹
+ * @param {Event} event - 文件选择事件
+ */
+async function handleDatasetFolder(event) {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    if (files.length === 0) return;
+    
+    try {
+        await DatasetManager.loadFolder(files);
+    } catch (error) {
+        console.error('数据集文件夹读取失败:', error);
+        alert(`数据集文件夹读取失败: ${error.message}`);
+    }
+}
+
+/**
+ * 处理选择的数据集压缩包
+ * @param {Event} event - 文件选择事件
+ */
+async function handleDatasetZip(event) {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    try {
+        await DatasetManager.loadZip(file);
+    } catch (error) {
+        console.error('压缩包读取失败:', error);
+        alert(`压缩包读取失败: ${error.message}`);
+    }
+}
+
+/**
+ * 按当前设置重新处理数据集
+ */
+function reprocessDataset() {
+    if (DatasetManager.entries.length === 0) {
+        alert('请先打开数据集文件夹或压缩包');
+        return;
+    }
+    
+    if (DatasetManager.entries.some(entry => entry.edited) &&
+        !confirm('重新处理会覆盖手动修改的caption，确定继续吗？')) {
+        return;
+    }
+    
+    DatasetManager.process();
+}
+
+/**
+ * 手动修改数据集中的caption
+ * @param {HTMLTextAreaElement} textarea - 处理后caption的输入框
+ */
+function editDatasetCaption(textarea) {
+    const item = textarea.closest('.dataset-item');
+    if (!item) return;
+    
+    const entry = DatasetManager.edit(Number(item.dataset.index), textarea.value);
+    if (entry) {
+        item.classList.toggle('changed', entry.cleaned !== entry.original);
+    }
+}
+
+/**
+ * 导出处理后的数据集caption
+ */
+function exportDataset() {
+    const blob = DatasetManager.export();
+    if (!blob) {
+        alert('没有可导出的caption');
+        return;
+    }
+    
+    downloadBlob(blob, CONFIG.DATASET.DOWNLOAD_NAME);
+}
+
+/**
+ * 标签统计视图 - 显示批量结果或数据集的标签频率和过滤组命中情况
+ * 
+ * 点击标签可将其作为精确匹配的关键词加入所选过滤组
+ */
+const StatisticsView = {
+    source: CONFIG.STATISTICS.SOURCES.BATCH,
+    query: '',
+    sort: CONFIG.STATISTICS.DEFAULT_SORT,
+    onlyOnce: false,
+    targetGroupId: '',
+    
+    /**
+     * 获取当前数据来源的统计
+     * @returns {TagStatistics}
+     */
+    getStatistics() {
+        return this.source === CONFIG.STATISTICS.SOURCES.DATASET
+            ? DatasetManager.statistics
+            : tagConverter.batchStatistics;
+    },
+    
+    /**
+     * 按当前搜索和排序条件获取标签统计
+     * @returns {TagStat[]}
+     */
+    getRows() {
+        return this.getStatistics().getTags({ query: this.query, sort: this.sort, onlyOnce: this.onlyOnce });
+    },
+    
+    /**
+     * 渲染统计摘要、过滤组命中、目标组选项和标签表格
+     */
+    render() {
+        const section = document.getElementById('statistics-section');
+        if (!section) return;
+        
+        const statistics = this.getStatistics();
+        const rows = this.getRows();
+        
+        const summary = document.getElementById('statistics-summary');
+        if (summary) {
+            const onceCount = Array.from(statistics.tags.values()).filter(stat => stat.count === 1).length;
+            summary.textContent = statistics.postCount > 0
+                ? `${statistics.postCount} 个帖子，${statistics.tags.size} 种标签，其中 ${onceCount} 种只出现一次` +
+                  (statistics.simplifiedCount > 0 ? `，简化移除 ${statistics.simplifiedCount} 个` : '')
+                : '暂无统计：开启批量模式转换多个帖子，或打开数据集';
+        }
+        
+        this.renderGroups(statistics.getGroups());
+        this.renderTargetGroups();
+        this.renderRows(rows, statistics.postCount);
+    },
+    
+    /**
+     * 渲染过滤组命中统计
+     * @param {GroupStat[]} groups - 组统计
+     */
+    renderGroups(groups) {
+        const container = document.getElementById('statistics-groups');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        groups.filter(group => group.matches > 0).forEach(group => {
+            const item = document.createElement('span');
+            item.className = 'statistics-group';
+            item.textContent = `${group.name || '未命名组'}: 命中 ${group.matches} 个 / ${group.posts} 个帖子`;
+            container.appendChild(item);
+        });
+    },
+    
+    /**
+     * 渲染"添加到组"下拉框
+     */
+    renderTargetGroups() {
+        const select = document.getElementById('statistics-target-group');
+        if (!select) return;
+        
+        const groups = tagConverter.filterManager.groups;
+        if (!groups.some(group => group.id === this.targetGroupId)) {
+            this.targetGroupId = groups.length > 0 ? groups[0].id : '';
         }
         
-        this.isLoading = true;
+        select.innerHTML = '';
+        if (groups.length === 0) {
+            select.appendChild(new Option('（无过滤组）', ''));
+        }
+        groups.forEach((group, index) => {
+            select.appendChild(new Option(group.name || `组${index + 1}`, group.id));
+        });
+        select.value = this.targetGroupId;
+    },
+    
+    /**
+     * 渲染标签表格
+     * @param {TagStat[]} rows - 标签统计
+     * @param {number} postCount - 帖子总数
+     */
+    renderRows(rows, postCount) {
+        const body = document.getElementById('statistics-rows');
+        if (!body) return;
         
-        try {
-            const example = this.getNextExample();
-            const inputElement = document.getElementById('input');
-            const button = document.getElementById('load-example-btn');
-            
-            // 更新按钮状态
-            if (button) {
-                const originalText = button.textContent;
-                button.textContent = `☑️ 已加载`;
-                button.disabled = true;
-                
-                // 恢复按钮状态
-                setTimeout(() => {
-                    button.textContent = originalText;
-                    button.disabled = false;
-                }, 500);
-            }
-            
-            // 加载示例内容
-            inputElement.value = example.content;
-            convert();
-            
-            // 显示加载的示例类型
-            console.log(`已加载 ${example.name} 格式示例`);
+        body.innerHTML = '';
+        const categoryNames = new Map(CONFIG.CATEGORY_DISPLAY.map(item => [item.id, item.name]));
+        
+        rows.slice(0, CONFIG.STATISTICS.MAX_ROWS).forEach(stat => {
+            const row = document.createElement('tr');
+            row.className = stat.kept < stat.count ? 'filtered' : '';
+            row.title = '点击添加到所选过滤组';
+            row.setAttribute('onclick', 'addStatisticsKeyword(this)');
+            row.dataset.tag = stat.name;
             
-        } finally {
-            // 500ms后允许下次点击
-            setTimeout(() => {
-                this.isLoading = false;
-            }, 500);
+            [
+                stat.name,
+                stat.category ? categoryNames.get(stat.category) || stat.category : '',
+                `${stat.count} (${Math.round(stat.count / Math.max(postCount, 1) * 100)}%)`,
+                String(stat.count - stat.kept)
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+        
+        const more = document.getElementById('statistics-more');
+        if (more) {
+            more.textContent = rows.length > CONFIG.STATISTICS.MAX_ROWS
+                ? `仅显示前 ${CONFIG.STATISTICS.MAX_ROWS} 个，共 ${rows.length} 个（导出CSV包含全部）`
+                : '';
+        }
+    },
+    
+    /**
+     * 将标签作为精确匹配的关键词加入所选过滤组
+     * @param {string} name - 标签名
+     * @returns {Group|null} - 加入的组，没有可用的组时为null
+     */
+    addKeyword(name) {
+        const group = tagConverter.filterManager.getGroup(this.targetGroupId);
+        if (!group) return null;
+        
+        // 完全匹配，避免 hair 误伤 long hair
+        const exists = group.keywords.some(keyword =>
+            keyword.mode === CONFIG.FILTER.KEYWORD_MODES.EXACT && keyword.text === name);
+        if (!exists) {
+            tagConverter.filterManager.updateGroup(group.id, {
+                keywords: [...group.keywords, createKeyword(name, CONFIG.FILTER.KEYWORD_MODES.EXACT)]
+            });
         }
+        return group;
     }
 };
 
 /**
- * 加载示例数据（全局函数，供按钮调用）
+ * 切换统计数据来源（批量结果/数据集）
+ * @param {HTMLSelectElement} select - 来源下拉框
  */
-function loadExample() {
-    ExampleManager.loadExample();
+function changeStatisticsSource(select) {
+    StatisticsView.source = select.value;
+    StatisticsView.render();
 }
 
 /**
- * 清空所有内容 - 重置应用状态
- * 
- * 清空操作：
- * 1. 清空输入框内容
- * 2. 重置输出区域为默认提示状态
- * 3. 隐藏格式检测状态指示器
- * 4. 清除所有样式类
- * 
- * 注意：不会清除过滤器设置，保持用户配置
+ * 搜索统计中的标签
+ * @param {HTMLInputElement} input - 搜索框
  */
-function clearAll() {
-    document.getElementById('input').value = '';
-    document.getElementById('output').textContent = '等待输入内容进行转换...';
-    document.getElementById('output').className = '';
+function searchStatistics(input) {
+    StatisticsView.query = input.value;
+    StatisticsView.render();
+}
+
+/**
+ * 切换统计排序
+ * @param {HTMLSelectElement} select - 排序下拉框
+ */
+function changeStatisticsSort(select) {
+    StatisticsView.sort = select.value;
+    StatisticsView.render();
+}
+
+/**
+ * 切换只看只出现一次的标签
+ * @param {HTMLInputElement} checkbox - 复选框
+ */
+function toggleStatisticsOnlyOnce(checkbox) {
+    StatisticsView.onlyOnce = checkbox.checked;
+    StatisticsView.render();
+}
+
+/**
+ * 选择点击标签时加入的过滤组
+ * @param {HTMLSelectElement} select - 组下拉框
+ */
+function changeStatisticsTargetGroup(select) {
+    StatisticsView.targetGroupId = select.value;
+}
+
+/**
+ * 点击统计表格中的标签，加入所选过滤组
+ * @param {HTMLTableRowElement} row - 标签所在行
+ */
+function addStatisticsKeyword(row) {
+    const group = StatisticsView.addKeyword(row.dataset.tag);
+    if (!group) {
+        alert('请先新增一个过滤组');
+        return;
+    }
     
-    const statusEl = document.getElementById('format-status');
-    if (statusEl) {
-        statusEl.style.display = 'none';
+    const groupElement = document.querySelector(`[data-group-id="${group.id}"]`);
+    if (groupElement) {
+        renderGroupKeywords(groupElement, group);
+    }
+    
+    // 重新转换以更新结果和统计；数据集需重新处理
+    convert();
+    updateFilterStats();
+    if (StatisticsView.source === CONFIG.STATISTICS.SOURCES.DATASET) {
+        reprocessDataset();
+    }
+}
+
+/**
+ * 导出当前搜索和排序条件下的标签统计为CSV
+ */
+function exportStatisticsCsv() {
+    const rows = StatisticsView.getRows();
+    if (rows.length === 0) {
+        alert('没有可导出的统计');
+        return;
     }
+    
+    const csv = StatisticsView.getStatistics().toCsv(rows);
+    downloadBlob(new Blob([csv], { type: 'text/csv' }), CONFIG.STATISTICS.CSV_NAME);
 }
 
 /**
@@ -2236,16 +7151,304 @@ function updateFilterKeywords() {
  * - 折叠状态：显示"▼ 展开设置"
  * - 展开状态：显示"▲ 收起设置"
  */
-function toggleFilterSection() {
-    const content = document.getElementById('filter-content');
-    const button = document.getElementById('filter-expand');
+function toggleFilterSection() {
+    const content = document.getElementById('filter-content');
+    const button = document.getElementById('filter-expand');
+    
+    if (content.style.display === 'none' || content.style.display === '') {
+        content.style.display = 'block';
+        button.textContent = '▲ 收起设置';
+    } else {
+        content.style.display = 'none';
+        button.textContent = '▼ 展开设置';
+    }
+}
+
+/**
+ * 手动指定输入格式（仅当前会话有效）
+ * @param {HTMLSelectElement} select - 格式下拉框，空值表示自动检测
+ */
+function changeFormatOverride(select) {
+    tagConverter.formatDetector.setOverride(select.value);
+    
+    // 重新转换当前内容
+    convert();
+}
+
+/**
+ * 切换批量模式
+ * @param {HTMLInputElement} checkbox - 批量模式开关
+ */
+function toggleBatchMode(checkbox) {
+    tagConverter.batchProcessor.setEnabled(checkbox.checked);
+    updateBatchSeparatorState();
+    
+    // 重新转换当前内容
+    convert();
+}
+
+/**
+ * 设置批量模式的帖子分隔符
+ * @param {HTMLInputElement} input - 分隔符输入框，留空按空行分割
+ */
+function changeBatchSeparator(input) {
+    tagConverter.batchProcessor.setSeparator(input.value);
+    input.value = tagConverter.batchProcessor.separator;
+    
+    // 重新转换当前内容
+    convert();
+}
+
+/**
+ * 分隔符输入框仅在批量模式下可用
+ */
+function updateBatchSeparatorState() {
+    const separator = document.getElementById('batch-separator');
+    if (separator) {
+        separator.disabled = !tagConverter.batchProcessor.enabled;
+    }
+}
+
+/**
+ * 初始化批量模式UI
+ */
+function initializeBatchUI() {
+    const status = tagConverter.batchProcessor.getStatus();
+    
+    const enabled = document.getElementById('batch-enabled');
+    if (enabled) {
+        enabled.checked = status.enabled;
+    }
+    
+    const separator = document.getElementById('batch-separator');
+    if (separator) {
+        separator.value = status.separator;
+    }
+    
+    updateBatchSeparatorState();
+}
+
+/**
+ * 切换训练辅助
+ * @param {HTMLInputElement} checkbox - 训练辅助开关
+ */
+function toggleTraining(checkbox) {
+    tagConverter.trainingFormatter.setEnabled(checkbox.checked);
+    
+    // 重新转换当前内容
+    convert();
+}
+
+/**
+ * 设置触发词
+ * @param {HTMLInputElement} input - 触发词输入框
+ */
+function changeTriggerWords(input) {
+    tagConverter.trainingFormatter.setTriggerWords(input.value);
+    
+    // 重新转换当前内容
+    convert();
+}
+
+/**
+ * 设置固定标签
+ * @param {HTMLInputElement} input - 固定标签输入框
+ */
+function changePinnedTags(input) {
+    tagConverter.trainingFormatter.setPinnedTags(input.value);
+    input.value = tagConverter.trainingFormatter.pinnedTags.join(', ');
+    
+    // 重新转换当前内容
+    convert();
+}
+
+/**
+ * 切换打乱其余标签
+ * @param {HTMLInputElement} checkbox - 打乱开关
+ */
+function toggleTrainingShuffle(checkbox) {
+    tagConverter.trainingFormatter.setShuffle(checkbox.checked);
+    
+    // 重新转换当前内容
+    convert();
+}
+
+/**
+ * 设置打乱的随机种子
+ * @param {HTMLInputElement} input - 种子输入框
+ */
+function changeTrainingSeed(input) {
+    tagConverter.trainingFormatter.setSeed(Math.max(0, Math.floor(Number(input.value) || 0)));
+    input.value = String(tagConverter.trainingFormatter.seed);
+    
+    // 重新转换当前内容
+    convert();
+}
+
+/**
+ * 初始化训练辅助UI
+ */
+function initializeTrainingUI() {
+    const status = tagConverter.trainingFormatter.getStatus();
+    
+    const enabled = document.getElementById('training-enabled');
+    if (enabled) {
+        enabled.checked = status.enabled;
+    }
+    
+    const triggerWords = document.getElementById('training-trigger-words');
+    if (triggerWords) {
+        triggerWords.value = status.triggerWords;
+    }
+    
+    const pinnedTags = document.getElementById('training-pinned-tags');
+    if (pinnedTags) {
+        pinnedTags.value = status.pinnedTags.join(', ');
+    }
+    
+    const shuffle = document.getElementById('training-shuffle');
+    if (shuffle) {
+        shuffle.checked = status.shuffle;
+    }
+    
+    const seed = document.getElementById('training-seed');
+    if (seed) {
+        seed.value = String(status.seed);
+    }
+}
+
+/**
+ * 初始化格式指定下拉框
+ */
+function initializeFormatOverrideUI() {
+    const select = document.getElementById('format-override');
+    if (!select) return;
+    
+    tagConverter.formatDetector.handlers.forEach(handler => {
+        const option = document.createElement('option');
+        option.value = handler.id;
+        option.textContent = handler.name;
+        select.appendChild(option);
+    });
+    
+    select.value = tagConverter.formatDetector.override || '';
+}
+
+/**
+ * 选择ComfyUI文本节点
+ * @param {HTMLSelectElement} select - 节点下拉框
+ */
+function changeComfyUINode(select) {
+    tagConverter.contentExtractor.setComfyUINode(select.value);
+    
+    // 重新转换当前内容
+    convert();
+}
+
+/**
+ * 切换输出权重模式
+ * @param {HTMLSelectElement} select - 权重模式下拉框
+ */
+function changeWeightMode(select) {
+    tagConverter.outputFormatter.setWeightMode(select.value);
+    
+    // 重新转换当前内容
+    convert();
+}
+
+/**
+ * 切换输出权重方言
+ * @param {HTMLSelectElement} select - 方言下拉框
+ */
+function changeOutputDialect(select) {
+    tagConverter.outputFormatter.setDialect(select.value);
+    
+    // 重新转换当前内容
+    convert();
+}
+
+/**
+ * 切换数值权重精度
+ * @param {HTMLSelectElement} select - 精度下拉框
+ */
+function changeWeightPrecision(select) {
+    tagConverter.outputFormatter.setPrecision(select.value);
+    
+    // 重新转换当前内容
+    convert();
+}
+
+/**
+ * 切换输出视图（平铺/按分类）
+ * @param {HTMLSelectElement} select - 视图下拉框
+ */
+function changeOutputView(select) {
+    tagConverter.outputFormatter.setView(select.value);
+    
+    // 重新转换当前内容
+    convert();
+}
+
+/**
+ * 设置最少帖子数
+ * @param {HTMLInputElement} input - 数字输入框
+ */
+function changeMinPostCount(input) {
+    const value = Math.max(0, Math.floor(Number(input.value) || 0));
+    tagConverter.postCountFilter.setMinCount(value);
+    input.value = String(value);
+    
+    // 重新转换当前内容
+    convert();
+}
+
+/**
+ * 切换按热度排序
+ * @param {HTMLSelectElement} select - 排序下拉框
+ */
+function changePostCountSort(select) {
+    tagConverter.postCountFilter.setSortByCount(select.value === 'count');
+    
+    // 重新转换当前内容
+    convert();
+}
+
+/**
+ * 初始化输出选项UI
+ */
+function initializeOutputOptionsUI() {
+    const status = tagConverter.outputFormatter.getStatus();
     
-    if (content.style.display === 'none' || content.style.display === '') {
-        content.style.display = 'block';
-        button.textContent = '▲ 收起设置';
-    } else {
-        content.style.display = 'none';
-        button.textContent = '▼ 展开设置';
+    const weightMode = document.getElementById('weight-mode');
+    if (weightMode) {
+        weightMode.value = status.weightMode;
+    }
+    
+    const dialect = document.getElementById('output-dialect');
+    if (dialect) {
+        dialect.value = status.dialect;
+    }
+    
+    const precision = document.getElementById('weight-precision');
+    if (precision) {
+        precision.value = String(status.precision);
+    }
+    
+    const view = document.getElementById('output-view');
+    if (view) {
+        view.value = status.view;
+    }
+    
+    const postCountStatus = tagConverter.postCountFilter.getStatus();
+    
+    const minPostCount = document.getElementById('min-post-count');
+    if (minPostCount) {
+        minPostCount.value = String(postCountStatus.minCount);
+    }
+    
+    const sort = document.getElementById('post-count-sort');
+    if (sort) {
+        sort.value = postCountStatus.sortByCount ? 'count' : 'original';
     }
 }
 
@@ -2273,7 +7476,14 @@ document.addEventListener('DOMContentLoaded', function() {
     tagConverter.uiManager.initializeFilterUI(tagConverter.filterManager);
     
     // 实时转换监听
-    document.getElementById('input').addEventListener('input', convert);
+    const inputElement = document.getElementById('input');
+    inputElement.addEventListener('input', convert);
+    
+    // 图片拖放/粘贴读取元数据，粘贴标签侧栏时优先使用HTML
+    inputElement.addEventListener('dragover', handleInputDragOver);
+    inputElement.addEventListener('dragleave', handleInputDragLeave);
+    inputElement.addEventListener('drop', handleInputDrop);
+    inputElement.addEventListener('paste', handleInputPaste);
     
     // 初始化剪贴板权限
     initializeClipboardPermission();
@@ -2292,6 +7502,18 @@ document.addEventListener('DOMContentLoaded', function() {
     // 初始化分组过滤器UI
     initializeGroupedFilterUI();
     
+    // 初始化输出选项UI
+    initializeOutputOptionsUI();
+    
+    // 初始化格式指定下拉框
+    initializeFormatOverrideUI();
+    
+    // 初始化批量模式UI
+    initializeBatchUI();
+    
+    // 初始化训练辅助UI
+    initializeTrainingUI();
+    
     console.log('Tag格式转换器已初始化 - 支持分组过滤器版本');
 });
 
@@ -2345,6 +7567,9 @@ function renderAllGroups() {
     
     // 重新初始化拖拽功能
     addDragListeners();
+    
+    // 同步标签统计中的目标组选项
+    StatisticsView.renderTargetGroups();
 }
 
 /**
@@ -2410,6 +7635,19 @@ function createGroupElement(group) {
         validateReplacementInput(replacementInput);
     }
     
+    // 设置命中操作与改写模板
+    const rewriteInput = groupElement.querySelector('.rewrite-input');
+    if (rewriteInput) {
+        rewriteInput.value = group.rewrite;
+    }
+    renderGroupAction(groupElement, group);
+    
+    // 渲染分类范围
+    renderCategoryScope(groupElement, group);
+    
+    // 渲染执行条件
+    renderGroupConditions(groupElement, group);
+    
     // 设置组开关的禁用状态（基于主过滤器状态）
     const groupToggle = groupElement.querySelector('.group-toggle');
     if (groupToggle) {
@@ -2435,14 +7673,179 @@ function renderGroupKeywords(groupElement, group) {
     keywordsContainer.innerHTML = '';
     
     group.keywords.forEach((keyword, index) => {
-        const tag = document.createElement('span');
-        tag.className = 'keyword-tag';
-        tag.innerHTML = `
-            ${keyword}
-            <button class="remove-tag" onclick="removeKeywordFromGroup('${group.id}', ${index})" title="删除关键词">×</button>
-        `;
-        keywordsContainer.appendChild(tag);
+        keywordsContainer.appendChild(createKeywordChip(
+            keyword,
+            mode => changeKeywordMode(group.id, index, mode),
+            () => removeKeywordFromGroup(group.id, index)
+        ));
+    });
+}
+
+/**
+ * 创建关键词标签元素（匹配方式下拉框 + 文本 + 删除按钮）
+ * @param {Keyword} keyword - 关键词
+ * @param {Function} onModeChange - 切换匹配方式的回调，参数为新的匹配方式
+ * @param {Function} onRemove - 删除回调
+ * @returns {HTMLElement}
+ */
+function createKeywordChip(keyword, onModeChange, onRemove) {
+    const tag = document.createElement('span');
+    tag.className = `keyword-tag keyword-mode-${keyword.mode}`;
+    
+    // 匹配方式下拉框，点击切换
+    const modeSelect = document.createElement('select');
+    modeSelect.className = 'keyword-mode-select';
+    modeSelect.title = '匹配方式';
+    Object.values(CONFIG.FILTER.KEYWORD_MODES).forEach(mode => {
+        const option = document.createElement('option');
+        option.value = mode;
+        option.textContent = CONFIG.FILTER.KEYWORD_MODE_LABELS[mode];
+        modeSelect.appendChild(option);
+    });
+    modeSelect.value = keyword.mode;
+    modeSelect.onchange = () => onModeChange(modeSelect.value);
+    
+    const text = document.createElement('span');
+    text.className = 'keyword-text';
+    text.textContent = keyword.text;
+    
+    const removeButton = document.createElement('button');
+    removeButton.className = 'remove-tag';
+    removeButton.title = '删除关键词';
+    removeButton.textContent = '×';
+    removeButton.onclick = onRemove;
+    
+    tag.append(modeSelect, text, removeButton);
+    return tag;
+}
+
+/**
+ * 渲染组的执行条件标签
+ * @param {HTMLElement} groupElement - 组DOM元素
+ * @param {Group} group - 组数据
+ */
+function renderGroupConditions(groupElement, group) {
+    groupElement.querySelectorAll('.condition-tags-display').forEach(container => {
+        const type = container.getAttribute('data-condition');
+        container.innerHTML = '';
+        
+        group.conditions[type].forEach((keyword, index) => {
+            container.appendChild(createKeywordChip(
+                keyword,
+                mode => changeConditionMode(group.id, type, index, mode),
+                () => removeConditionFromGroup(group.id, type, index)
+            ));
+        });
+    });
+}
+
+/**
+ * 渲染组的分类范围选项
+ * @param {HTMLElement} groupElement - 组DOM元素
+ * @param {Group} group - 组数据
+ */
+function renderCategoryScope(groupElement, group) {
+    const modeSelect = groupElement.querySelector('.scope-mode-select');
+    const categoriesContainer = groupElement.querySelector('.scope-categories');
+    if (!modeSelect || !categoriesContainer) return;
+    
+    modeSelect.value = group.categoryScope.mode;
+    categoriesContainer.innerHTML = '';
+    categoriesContainer.style.display =
+        group.categoryScope.mode === CONFIG.FILTER.CATEGORY_SCOPE_MODES.ALL ? 'none' : 'flex';
+    
+    CONFIG.CATEGORY_DISPLAY.forEach(item => {
+        const label = document.createElement('label');
+        label.className = 'scope-category';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = item.id;
+        checkbox.checked = group.categoryScope.categories.includes(item.id);
+        checkbox.setAttribute('onchange', 'toggleScopeCategory(this)');
+        
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(item.name));
+        categoriesContainer.appendChild(label);
+    });
+    
+    // 排除模式下未分类标签需单独勾选才参与匹配
+    if (group.categoryScope.mode === CONFIG.FILTER.CATEGORY_SCOPE_MODES.EXCLUDE) {
+        const label = document.createElement('label');
+        label.className = 'scope-category scope-uncategorized';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = group.categoryScope.includeUncategorized;
+        checkbox.setAttribute('onchange', 'toggleScopeUncategorized(this)');
+        
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode('包含未分类标签'));
+        categoriesContainer.appendChild(label);
+    }
+}
+
+/**
+ * 更新组的分类范围模式
+ * @param {HTMLSelectElement} select - 模式下拉框
+ */
+function updateCategoryScopeMode(select) {
+    const groupElement = select.closest('.group-card');
+    const groupId = groupElement?.getAttribute('data-group-id');
+    const group = groupId ? tagConverter.filterManager.getGroup(groupId) : null;
+    if (!group) return;
+    
+    tagConverter.filterManager.updateGroup(groupId, {
+        categoryScope: { ...group.categoryScope, mode: select.value }
+    });
+    renderCategoryScope(groupElement, group);
+    
+    // 重新转换
+    convert();
+    updateFilterStats();
+}
+
+/**
+ * 切换分类范围中的单个分类
+ * @param {HTMLInputElement} checkbox - 分类复选框
+ */
+function toggleScopeCategory(checkbox) {
+    const groupElement = checkbox.closest('.group-card');
+    const groupId = groupElement?.getAttribute('data-group-id');
+    const group = groupId ? tagConverter.filterManager.getGroup(groupId) : null;
+    if (!group) return;
+    
+    const categories = group.categoryScope.categories.filter(category => category !== checkbox.value);
+    if (checkbox.checked) {
+        categories.push(checkbox.value);
+    }
+    
+    tagConverter.filterManager.updateGroup(groupId, {
+        categoryScope: { ...group.categoryScope, categories }
+    });
+    
+    // 重新转换
+    convert();
+    updateFilterStats();
+}
+
+/**
+ * 切换排除模式下是否包含未分类标签
+ * @param {HTMLInputElement} checkbox - 复选框
+ */
+function toggleScopeUncategorized(checkbox) {
+    const groupElement = checkbox.closest('.group-card');
+    const groupId = groupElement?.getAttribute('data-group-id');
+    const group = groupId ? tagConverter.filterManager.getGroup(groupId) : null;
+    if (!group) return;
+    
+    tagConverter.filterManager.updateGroup(groupId, {
+        categoryScope: { ...group.categoryScope, includeUncategorized: checkbox.checked }
     });
+    
+    // 重新转换
+    convert();
+    updateFilterStats();
 }
 
 /**
@@ -2559,6 +7962,7 @@ function updateGroupName(input) {
  */
 function saveGroupName(input) {
     updateGroupName(input);
+    StatisticsView.renderTargetGroups();
 }
 
 /**
@@ -2721,9 +8125,10 @@ function addKeywordFromInput(input) {
         // 支持批量添加（逗号分隔）
         const newKeywords = value.split(',').map(k => k.trim()).filter(k => k.length > 0);
         
+        // 新关键词默认完全匹配，可在标签上切换匹配方式
         for (const keyword of newKeywords) {
-            if (!group.keywords.includes(keyword)) {
-                group.keywords.push(keyword);
+            if (!group.keywords.some(existing => existing.text === keyword)) {
+                group.keywords.push(createKeyword(keyword));
             }
         }
         
@@ -2747,6 +8152,124 @@ function focusKeywordInput(container) {
     }
 }
 
+/**
+ * 处理执行条件输入：回车添加，输入框为空时退格删除最后一个
+ * @param {KeyboardEvent} event - 键盘事件
+ */
+function handleConditionInput(event) {
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        addConditionFromInput(event.target);
+    } else if (event.key === 'Backspace' && event.target.value === '') {
+        const groupElement = event.target.closest('.group-card');
+        const groupId = groupElement?.getAttribute('data-group-id');
+        const type = event.target.getAttribute('data-condition');
+        const group = tagConverter.filterManager.getGroup(groupId);
+        
+        if (group && group.conditions[type].length > 0) {
+            removeConditionFromGroup(groupId, type, group.conditions[type].length - 1);
+        }
+    }
+}
+
+/**
+ * 从输入框添加执行条件标签（支持逗号分隔批量添加）
+ * @param {HTMLInputElement} input - 输入框，data-condition 为 anyOf / noneOf
+ */
+function addConditionFromInput(input) {
+    const value = input.value.trim();
+    if (!value) return;
+    
+    const groupElement = input.closest('.group-card');
+    const groupId = groupElement?.getAttribute('data-group-id');
+    const type = input.getAttribute('data-condition');
+    const group = tagConverter.filterManager.getGroup(groupId);
+    if (!group) return;
+    
+    const keywords = [...group.conditions[type]];
+    for (const text of value.split(',').map(k => k.trim()).filter(k => k.length > 0)) {
+        if (!keywords.some(existing => existing.text === text)) {
+            keywords.push(createKeyword(text));
+        }
+    }
+    
+    tagConverter.filterManager.updateGroup(groupId, {
+        conditions: { ...group.conditions, [type]: keywords }
+    });
+    renderGroupConditions(groupElement, group);
+    
+    input.value = '';
+    convert();
+    updateFilterStats();
+}
+
+/**
+ * 切换执行条件标签的匹配方式
+ * @param {string} groupId - 组ID
+ * @param {string} type - anyOf / noneOf
+ * @param {number} index - 条件索引
+ * @param {string} mode - 匹配方式
+ */
+function changeConditionMode(groupId, type, index, mode) {
+    const group = tagConverter.filterManager.getGroup(groupId);
+    if (!group || !group.conditions[type][index]) return;
+    
+    group.conditions[type][index].mode = mode;
+    tagConverter.filterManager.updateGroup(groupId, { conditions: group.conditions });
+    
+    const groupElement = document.querySelector(`[data-group-id="${groupId}"]`);
+    if (groupElement) {
+        renderGroupConditions(groupElement, group);
+    }
+    
+    convert();
+    updateFilterStats();
+}
+
+/**
+ * 删除执行条件标签
+ * @param {string} groupId - 组ID
+ * @param {string} type - anyOf / noneOf
+ * @param {number} index - 条件索引
+ */
+function removeConditionFromGroup(groupId, type, index) {
+    const group = tagConverter.filterManager.getGroup(groupId);
+    if (!group) return;
+    
+    group.conditions[type].splice(index, 1);
+    tagConverter.filterManager.updateGroup(groupId, { conditions: group.conditions });
+    
+    const groupElement = document.querySelector(`[data-group-id="${groupId}"]`);
+    if (groupElement) {
+        renderGroupConditions(groupElement, group);
+    }
+    
+    convert();
+    updateFilterStats();
+}
+
+/**
+ * 切换关键词的匹配方式
+ * @param {string} groupId - 组ID
+ * @param {number} index - 关键词索引
+ * @param {string} mode - 匹配方式
+ */
+function changeKeywordMode(groupId, index, mode) {
+    const group = tagConverter.filterManager.getGroup(groupId);
+    if (!group || !group.keywords[index]) return;
+    
+    group.keywords[index].mode = mode;
+    tagConverter.filterManager.updateGroup(groupId, { keywords: group.keywords });
+    
+    const groupElement = document.querySelector(`[data-group-id="${groupId}"]`);
+    if (groupElement) {
+        renderGroupKeywords(groupElement, group);
+    }
+    
+    convert();
+    updateFilterStats();
+}
+
 /**
  * 从组中删除关键词
  * @param {string} groupId - 组ID
@@ -2787,6 +8310,164 @@ function updateReplacement(input) {
     }
 }
 
+/**
+ * 渲染组的命中操作，只显示当前操作对应的配置区
+ * @param {HTMLElement} groupElement - 组DOM元素
+ * @param {Group} group - 组数据
+ */
+function renderGroupAction(groupElement, group) {
+    const actionSelect = groupElement.querySelector('.action-select');
+    if (actionSelect) {
+        actionSelect.value = group.action;
+    }
+    
+    groupElement.querySelectorAll('.action-section').forEach(section => {
+        section.style.display = section.getAttribute('data-action') === group.action ? 'block' : 'none';
+    });
+    
+    const positionSelect = groupElement.querySelector('.replacement-position-select');
+    if (positionSelect) {
+        positionSelect.value = group.replacementPosition;
+    }
+    
+    const weightInput = groupElement.querySelector('.action-weight-input');
+    if (weightInput) {
+        weightInput.value = group.weight;
+    }
+    groupElement.querySelectorAll('.affix-input').forEach(input => {
+        input.value = group[input.getAttribute('data-field')];
+    });
+    
+    const rewriteInput = groupElement.querySelector('.rewrite-input');
+    if (rewriteInput && group.action === CONFIG.FILTER.GROUP_ACTIONS.REWRITE) {
+        validateRewriteInput(rewriteInput);
+    }
+}
+
+/**
+ * 更新替换短语的插入位置
+ * @param {HTMLSelectElement} select - 插入位置下拉框
+ */
+function updateReplacementPosition(select) {
+    const groupElement = select.closest('.group-card');
+    const groupId = groupElement?.getAttribute('data-group-id');
+    if (!groupId) return;
+    
+    tagConverter.filterManager.updateGroup(groupId, { replacementPosition: select.value });
+    
+    // 重新转换
+    convert();
+    updateFilterStats();
+}
+
+/**
+ * 更新设置权重操作的权重
+ * @param {HTMLInputElement} input - 权重输入框
+ */
+function updateActionWeight(input) {
+    const groupElement = input.closest('.group-card');
+    const groupId = groupElement?.getAttribute('data-group-id');
+    if (!groupId) return;
+    
+    // 无效输入回退为默认权重
+    const weight = tagConverter.filterManager._normalizeActionWeight(parseFloat(input.value));
+    tagConverter.filterManager.updateGroup(groupId, { weight });
+    input.value = weight;
+    
+    // 重新转换
+    convert();
+    updateFilterStats();
+}
+
+/**
+ * 更新添加前后缀操作的前缀或后缀
+ * @param {HTMLInputElement} input - 输入框，data-field 为 prefix / suffix
+ */
+function updateAffix(input) {
+    const groupElement = input.closest('.group-card');
+    const groupId = groupElement?.getAttribute('data-group-id');
+    if (!groupId) return;
+    
+    tagConverter.filterManager.updateGroup(groupId, {
+        [input.getAttribute('data-field')]: input.value
+    });
+    
+    // 重新转换
+    convert();
+    updateFilterStats();
+}
+
+/**
+ * 更新组的命中操作
+ * @param {HTMLSelectElement} select - 操作下拉框
+ */
+function updateGroupAction(select) {
+    const groupElement = select.closest('.group-card');
+    const groupId = groupElement?.getAttribute('data-group-id');
+    const group = groupId ? tagConverter.filterManager.getGroup(groupId) : null;
+    if (!group) return;
+    
+    tagConverter.filterManager.updateGroup(groupId, { action: select.value });
+    renderGroupAction(groupElement, group);
+    
+    // 重新转换
+    convert();
+    updateFilterStats();
+}
+
+/**
+ * 更新改写模板
+ * @param {HTMLInputElement} input - 输入框元素
+ */
+function updateRewrite(input) {
+    const groupElement = input.closest('.group-card');
+    const groupId = groupElement?.getAttribute('data-group-id');
+    
+    if (groupId) {
+        tagConverter.filterManager.updateGroup(groupId, { 
+            rewrite: input.value 
+        });
+        
+        // 重新转换
+        convert();
+        updateFilterStats();
+    }
+}
+
+/**
+ * 验证改写模板输入，并用最近一次转换的标签预览改写结果
+ * @param {HTMLInputElement} input - 输入框元素
+ */
+function validateRewriteInput(input) {
+    const groupElement = input.closest('.group-card');
+    const groupId = groupElement?.getAttribute('data-group-id');
+    const group = groupId ? tagConverter.filterManager.getGroup(groupId) : null;
+    const errorDiv = groupElement?.querySelector('.rewrite-error');
+    const previewDiv = groupElement?.querySelector('.rewrite-preview');
+    if (!group || !errorDiv || !previewDiv) return;
+    
+    // 预览使用输入框中尚未提交的模板
+    const draft = { ...group, rewrite: input.value };
+    const error = tagConverter.filterManager.validateRewrite(draft.rewrite, draft.keywords);
+    
+    if (error) {
+        input.classList.add('error');
+        errorDiv.textContent = `⚠️ 改写模板${error}`;
+        errorDiv.style.display = 'block';
+        previewDiv.style.display = 'none';
+        return;
+    }
+    
+    input.classList.remove('error');
+    errorDiv.style.display = 'none';
+    
+    const examples = tagConverter.filterManager.previewRewrite(draft, tagConverter.lastCleanedTags);
+    previewDiv.textContent = examples
+        .map(({ from, to }) => `${from} → ${to.length > 0 ? to.join(', ') : '（删除）'}`)
+        .join('\n');
+    previewDiv.style.display = examples.length > 0 ? 'block' : 'none';
+}
+
 /**
  * 验证替换短语输入
  * @param {HTMLInputElement} input - 输入框元素
@@ -2820,7 +8501,10 @@ function validateReplacementInput(input) {
  */
 function exportConfig() {
     try {
-        const config = tagConverter.filterManager.exportConfig();
+        // 训练辅助设置随过滤器配置一起导出
+        const config = tagConverter.filterManager.exportConfig({
+            training: tagConverter.trainingFormatter.getSettings()
+        });
         
         // 创建下载链接
         const blob = new Blob([config], { type: 'application/json' });
@@ -2909,7 +8593,7 @@ function showImportPreview(configJson) {
 • 简化功能：${previewData.simplifyEnabled ? '启用' : '禁用'}  
 • 组数量：${previewData.groupCount} 个
 • 总关键词：${previewData.totalKeywords} 个
-• 组名：${previewData.groupNames.join(', ')}
+• 组名：${previewData.groupNames.join(', ')}${previewData.hasTraining ? '\n• 训练辅助：包含（触发词、固定标签、打乱设置）' : ''}
 
 导入方式：
 [确定] = 覆盖现有配置
@@ -2923,6 +8607,12 @@ function showImportPreview(configJson) {
         const result = tagConverter.filterManager.importConfig(configJson, false);
         
         if (result.success) {
+            if (result.config.training !== undefined &&
+                tagConverter.trainingFormatter.importSettings(result.config.training)) {
+                tagConverter.trainingFormatter.saveSettings();
+                initializeTrainingUI();
+            }
+            
             // 重新渲染UI
             initializeGroupedFilterUI();
             convert();